@@ -0,0 +1,9 @@
+// Rekrute.com jobs scraper - writes .actor/dataset_schema.json from the record schema in src/schema.js
+
+import { writeFileSync } from 'node:fs';
+
+import { buildDatasetSchema } from '../src/schema.js';
+
+const target = new URL('../.actor/dataset_schema.json', import.meta.url);
+writeFileSync(target, `${JSON.stringify(buildDatasetSchema(), null, 2)}\n`);
+console.log(`Wrote ${target.pathname}`);
@@ -0,0 +1,79 @@
+// Rekrute.com jobs scraper - FR/EN versions of the same job offer
+
+import { getJobIdFromUrl, isDetailUrl, toAbs } from './utils.js';
+
+export const SUPPORTED_LANGUAGES = ['fr', 'en'];
+
+/**
+ * Language of a detail URL from its path: /en/job-offer-... or /offre-emploi-...
+ */
+export function getUrlLanguage(url) {
+    return /^\/en\//i.test(new URL(url).pathname) ? 'en' : 'fr';
+}
+
+/**
+ * `languages` input -> list of supported language codes, in order, without duplicates.
+ * The first one is the listing language and the base of merged records. Throws on unknown codes.
+ */
+export function parseLanguages(languages, fallback = ['en']) {
+    const list = (Array.isArray(languages) ? languages : [languages])
+        .map((l) => (typeof l === 'string' ? l.trim().toLowerCase() : ''))
+        .filter(Boolean);
+    const unknown = list.filter((l) => !SUPPORTED_LANGUAGES.includes(l));
+    if (unknown.length) {
+        throw new Error(`Unknown languages: ${unknown.join(', ')}. Valid values: ${SUPPORTED_LANGUAGES.join(', ')}.`);
+    }
+    return list.length ? [...new Set(list)] : fallback;
+}
+
+/**
+ * URL of the same offer in `lang`: an hreflang alternate or language switcher
+ * link pointing to the same job ID first, else the URL pattern
+ * /offre-emploi-<slug>-recrutement-...-ID.html <-> /en/job-offer-<slug>-recruitment-...-ID.html.
+ * Null when the page already is in `lang`.
+ */
+export function getAlternateLanguageUrl($, url, lang) {
+    if (getUrlLanguage(url) === lang) return null;
+    const jobId = getJobIdFromUrl(url);
+
+    const linked = $('link[rel="alternate"][hreflang][href], a[href]')
+        .toArray()
+        .map((el) => ({ href: toAbs($(el).attr('href'), url), hreflang: ($(el).attr('hreflang') || '').toLowerCase() }))
+        .find(({ href, hreflang }) => href
+            && isDetailUrl(href)
+            && getJobIdFromUrl(href) === jobId
+            && (hreflang ? hreflang.startsWith(lang) : getUrlLanguage(href) === lang));
+    if (linked) return linked.href;
+
+    const u = new URL(url);
+    if (lang === 'en') {
+        u.pathname = u.pathname
+            .replace(/^\/(?:fr\/)?offre-emploi-/i, '/en/job-offer-')
+            .replace(/-recrutement-/i, '-recruitment-');
+    } else {
+        u.pathname = u.pathname
+            .replace(/^\/en\/job-offer-/i, '/offre-emploi-')
+            .replace(/-recruitment-/i, '-recrutement-');
+    }
+    return getUrlLanguage(u.href) === lang ? u.href : null;
+}
+
+/**
+ * Detail records of one offer by language ({ fr, en }, missing versions absent
+ * or null) -> one record: the first available of `languages` as the base, plus
+ * title_<lang> / description_<lang> for every language (null when that version
+ * couldn't be fetched) and `languagesAvailable`.
+ */
+export function mergeLanguageVersions(versions, languages) {
+    const available = languages.filter((lang) => versions[lang]);
+    const base = versions[available[0]] || Object.values(versions).find(Boolean);
+    if (!base) return null;
+
+    const merged = { ...base };
+    for (const lang of languages) {
+        merged[`title_${lang}`] = versions[lang]?.title ?? null;
+        merged[`description_${lang}`] = versions[lang]?.descriptionText ?? null;
+    }
+    merged.languagesAvailable = available;
+    return merged;
+}
@@ -0,0 +1,127 @@
+// Rekrute.com jobs scraper - block detection and adaptive backoff
+
+// Status codes Rekrute (or its CDN) answers with when it throttles or bans an IP
+export const BLOCK_STATUS_CODES = [401, 403, 429, 503];
+
+// Real pages are tens of KB; an empty or near-empty 200 is a soft block
+const MIN_BODY_BYTES = 512;
+
+// Anti-bot interstitials (Cloudflare, DataDome, PerimeterX) by their markup, not their wording
+const CHALLENGE_SELECTORS = [
+    '#challenge-form',
+    '#cf-challenge-running',
+    '.cf-browser-verification',
+    'script[src*="/cdn-cgi/challenge-platform/"]',
+    'form[action*="__cf_chl"]',
+    'iframe[src*="captcha-delivery.com"]',
+    '#px-captcha',
+].join(', ');
+const CHALLENGE_TITLE = /^\s*(just a moment|attention required|un instant|access denied|pardon our interruption)/i;
+const CAPTCHA_SELECTORS = '.g-recaptcha, .h-captcha, iframe[src*="recaptcha"], iframe[src*="hcaptcha"]';
+
+// Listing pages without results legitimately have no job list
+const NO_RESULTS = /aucune offre|aucun r[ée]sultat|no (?:job|offer|result)s? (?:found|match)/i;
+
+/**
+ * Why a response looks like a block page, or null. Only looks at the status code,
+ * the response size and the page structure: a listing page without its job list,
+ * a known challenge page, or a captcha on a page without job content. Words like
+ * "forbidden" or "blocked" in the text are ignored, job descriptions use them too.
+ */
+export function detectBlock({ statusCode, body, $, isListing = false }) {
+    if (BLOCK_STATUS_CODES.includes(statusCode)) return `status ${statusCode}`;
+
+    const size = typeof body === 'string' ? Buffer.byteLength(body) : body?.length;
+    // error pages (404 of an expired job...) may well be short
+    if ((statusCode ?? 200) < 400 && size !== undefined && size < MIN_BODY_BYTES) {
+        return `empty response (${size} bytes)`;
+    }
+    if (!$) return null;
+
+    if ($(CHALLENGE_SELECTORS).length || CHALLENGE_TITLE.test($('title').first().text())) return 'challenge page';
+
+    const hasJobList = $('ul.job-list, ul.job-list2').length > 0;
+    if ($(CAPTCHA_SELECTORS).length && !hasJobList && !$('h1').text().trim()) return 'captcha page';
+
+    if (isListing && !hasJobList && !NO_RESULTS.test($('body').text())) return 'listing without job list';
+    return null;
+}
+
+/**
+ * Block reason from a request error: our own "Blocked by target site (...)" errors,
+ * Crawlee's "Request blocked - received 403 status code." and its 503 errors. Null otherwise.
+ */
+export function getBlockReason(error) {
+    const message = error?.message || '';
+    const own = message.match(/^Blocked by target site \((.+)\)/);
+    if (own) return own[1];
+    const status = message.match(/received (\d{3}) status code|^(\d{3}) - /);
+    const code = status ? Number(status[1] || status[2]) : null;
+    return BLOCK_STATUS_CODES.includes(code) ? `status ${code}` : null;
+}
+
+/**
+ * Adaptive throttle shared by all requests of a run.
+ * Every block halves the concurrency and starts a cooldown that doubles with each
+ * consecutive block (baseDelayMs, 2x, 4x... up to maxDelayMs); blocks of requests
+ * that were already in flight during a cooldown count once. After `recoverAfter`
+ * successes in a row the concurrency grows back by one, up to maxConcurrency.
+ * After `maxConsecutiveBlocks` blocks without a success in between, `gaveUp` is set.
+ */
+export function createBlockGuard({
+    maxConcurrency,
+    baseDelayMs = 5000,
+    maxDelayMs = 60000,
+    maxConsecutiveBlocks = 6,
+    recoverAfter = 20,
+    now = Date.now,
+} = {}) {
+    const stats = { blocks: 0, backoffs: 0, reasons: {} };
+    let concurrency = maxConcurrency;
+    let consecutive = 0;
+    let successes = 0;
+    let cooldownUntil = 0;
+    let gaveUp = false;
+
+    return {
+        stats,
+        get concurrency() {
+            return concurrency;
+        },
+        get gaveUp() {
+            return gaveUp;
+        },
+
+        /** Milliseconds left before the next request may go out. */
+        getCooldownMs() {
+            return Math.max(0, cooldownUntil - now());
+        },
+
+        /** Records a block -> { concurrency, delayMs, gaveUp } (delayMs 0 when already cooling down). */
+        onBlock(reason) {
+            stats.blocks += 1;
+            stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+            successes = 0;
+            if (now() < cooldownUntil) return { concurrency, delayMs: 0, gaveUp };
+
+            consecutive += 1;
+            stats.backoffs += 1;
+            const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** (consecutive - 1));
+            cooldownUntil = now() + delayMs;
+            concurrency = Math.max(1, Math.floor(concurrency / 2));
+            if (consecutive >= maxConsecutiveBlocks) gaveUp = true;
+            return { concurrency, delayMs, gaveUp };
+        },
+
+        /** Records a page that loaded fine -> the concurrency to use from now on. */
+        onSuccess() {
+            consecutive = 0;
+            successes += 1;
+            if (successes >= recoverAfter && concurrency < maxConcurrency) {
+                concurrency += 1;
+                successes = 0;
+            }
+            return concurrency;
+        },
+    };
+}
@@ -0,0 +1,125 @@
+// Rekrute.com jobs scraper - company links and company profile pages
+
+import { cleanText, isDetailUrl, toAbs } from './utils.js';
+import { simplifyHtmlContent } from './description.js';
+
+/**
+ * Rekrute company page: "/<company>-emploi-recrutement.html" style slugs or
+ * /entreprise/... paths. Listing and offer pages are excluded.
+ */
+export function isCompanyUrl(url) {
+    try {
+        const u = new URL(url);
+        if (!/(^|\.)rekrute\.com$/i.test(u.hostname)) return false;
+        if (isDetailUrl(url)) return false;
+        const path = u.pathname || '';
+        if (/\/offres\.html$/i.test(path)) return false;
+        return (
+            /\/(?:entreprise|societe|company)[^/]*\//i.test(path) ||
+            /-(?:emploi|recrutement|jobs)(?:-(?:emploi|recrutement))?\.html$/i.test(path)
+        );
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Stable company key from its page URL: last path segment without ".html"
+ * and trailing "-emploi"/"-recrutement" words.
+ */
+export function getCompanyIdFromUrl(url) {
+    try {
+        const slug = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+        const id = slug
+            .replace(/\.html$/i, '')
+            .replace(/(?:-(?:emploi|recrutement|jobs|offres))+$/i, '')
+            .toLowerCase();
+        return id || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Company link + logo of an offer (detail page) or of a listing card ($scope).
+ */
+export function getCompanyInfo($, baseUrl, jsonLd = null, $scope = null) {
+    const find = (sel) => ($scope ? $scope.find(sel) : $(sel));
+
+    let companyUrl = null;
+    const candidates = [];
+    if (jsonLd?.companyUrl) candidates.push(jsonLd.companyUrl);
+    find('a:has(img.photo), #recruiterDescription a[href], a.company, .company a, a:contains("offres de"), a:contains("jobs from")')
+        .each((_, el) => {
+            const href = $(el).attr('href');
+            if (href) candidates.push(href);
+        });
+    for (const href of candidates) {
+        const abs = toAbs(href, baseUrl);
+        if (abs && isCompanyUrl(abs)) {
+            companyUrl = abs;
+            break;
+        }
+    }
+
+    const logoSrc = jsonLd?.companyLogoUrl || find('img.photo').first().attr('src') || null;
+
+    return {
+        companyId: companyUrl ? getCompanyIdFromUrl(companyUrl) : null,
+        companyUrl,
+        companyLogoUrl: logoSrc ? toAbs(logoSrc, baseUrl) : null,
+    };
+}
+
+/**
+ * Company page -> profile (name, logo, sector, size, website, description).
+ * Null when the page has none of a profile's logo, sector, size or description
+ * (error page, redirect to the home page...).
+ */
+export function parseCompanyPage($, url) {
+    const lines = [];
+    $('li, p, dt, dd, td, span').each((_, el) => {
+        const $el = $(el);
+        if ($el.children('li, p, span').length) return;
+        const line = $el.text().replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+        if (line) lines.push(line);
+    });
+    const text = lines.join(' | ');
+    const labelled = (re) => {
+        const m = text.match(re);
+        return m && m[1] ? m[1].trim() : null;
+    };
+
+    let website = null;
+    $('a[href^="http"]').each((_, el) => {
+        const href = $(el).attr('href');
+        const label = $(el).closest('li, p, div').text();
+        if (href && !/rekrute\.com/i.test(href) && /site|web/i.test(label)) {
+            website = href;
+            return false;
+        }
+        return undefined;
+    });
+    if (!website) website = labelled(/(?:Site\s+web|Site\s+internet|Website)\s*:\s*([^\s|]+)/i);
+
+    const logoSrc = $('img.photo, .logo img, img[alt*="logo" i]').first().attr('src');
+    const descriptionHtml =
+        $('#recruiterDescription, .description, .company-description, .societe-description').first().html() || null;
+    const sector = labelled(/(?:Secteur(?:\s+d'activité)?|Sector|Industry)\s*:\s*([^|]+)/i);
+    const size = labelled(/(?:Taille|Effectif|Company\s+size|Size)\s*:\s*([^|]+)/i);
+
+    // a site-wide logo or a lone <h1> is no profile
+    if (!$('img.photo').length && !sector && !size && !descriptionHtml) return null;
+
+    return {
+        companyId: getCompanyIdFromUrl(url),
+        companyUrl: url,
+        name: $('h1').first().text().trim() || $('img.photo').first().attr('alt')?.trim() || null,
+        logoUrl: logoSrc ? toAbs(logoSrc, url) : null,
+        sector,
+        size,
+        website,
+        description: cleanText(simplifyHtmlContent(descriptionHtml)) || $('meta[name="description"]').attr('content') || null,
+        scrapedAt: new Date().toISOString(),
+    };
+}
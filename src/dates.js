@@ -0,0 +1,116 @@
+// Rekrute.com jobs scraper - publication date parsing and date filter
+
+import { stripAccents } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// FR/EN month names and abbreviations (accents stripped before lookup)
+const MONTHS = {
+    janvier: 1, janv: 1, jan: 1, january: 1,
+    fevrier: 2, fevr: 2, fev: 2, feb: 2, february: 2,
+    mars: 3, mar: 3, march: 3,
+    avril: 4, avr: 4, apr: 4, april: 4,
+    mai: 5, may: 5,
+    juin: 6, jun: 6, june: 6,
+    juillet: 7, juil: 7, jul: 7, july: 7,
+    aout: 8, aug: 8, august: 8,
+    septembre: 9, sept: 9, sep: 9, september: 9,
+    octobre: 10, oct: 10, october: 10,
+    novembre: 11, nov: 11, november: 11,
+    decembre: 12, dec: 12, december: 12,
+};
+
+function utcDate(year, month, day) {
+    if (year < 100) year += 2000;
+    if (day < 1 || day > 31 || month < 1 || month > 12) return null;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Date.UTC rolls impossible days over ("31/02" -> 2 March): reject them instead
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date;
+}
+
+/**
+ * Date -> "YYYY-MM-DD" (UTC). Rekrute dates are day-precision, so the time is dropped.
+ */
+export function toIsoDate(date) {
+    if (!date || Number.isNaN(date.getTime())) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a publication date as shown on Rekrute into a Date.
+ * Handles ISO (JSON-LD), dd/mm/yyyy, FR/EN month names ("12 mars 2024",
+ * "March 12, 2024") and relative FR/EN forms ("il y a 3 jours", "2 days ago",
+ * "hier", "today").
+ */
+export function parsePostedDate(value, now = new Date()) {
+    if (!value) return null;
+    const text = String(value)
+        .replace(/\u00a0/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+    if (!text) return null;
+
+    // 1) ISO 8601 (JSON-LD datePosted). Keep the calendar day as written, ignoring the offset.
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return utcDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+    // 2) dd/mm/yyyy, dd-mm-yy, dd.mm.yyyy
+    const dmy = text.match(/(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})/);
+    if (dmy) return utcDate(Number(dmy[3]), Number(dmy[2]), Number(dmy[1]));
+
+    // 3) Month names: "12 mars 2024", "1er juin 2024", "March 12, 2024"
+    const plain = stripAccents(text);
+    const dayMonth = plain.match(/(\d{1,2})(?:er|st|nd|rd|th)?\s+([a-z]+)\.?,?\s+(\d{4})/);
+    if (dayMonth && MONTHS[dayMonth[2]]) {
+        return utcDate(Number(dayMonth[3]), MONTHS[dayMonth[2]], Number(dayMonth[1]));
+    }
+    const monthDay = plain.match(/([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/);
+    if (monthDay && MONTHS[monthDay[1]]) {
+        return utcDate(Number(monthDay[3]), MONTHS[monthDay[1]], Number(monthDay[2]));
+    }
+
+    // 4) Relative dates
+    if (/aujourd|today|à l'instant|just now/.test(text)) return new Date(now.getTime());
+    if (/\bhier\b|yesterday/.test(text)) return new Date(now.getTime() - DAY_MS);
+
+    const rel = text.match(/(\d+)\s*(minutes?|mins?|heures?|hours?|h\b|jours?|days?|semaines?|weeks?|mois|months?)/);
+    if (rel) {
+        const n = Number(rel[1]);
+        const unit = rel[2];
+        let ms;
+        if (/^min/.test(unit)) ms = 60 * 1000;
+        else if (/^(heure|hour|h$)/.test(unit)) ms = 60 * 60 * 1000;
+        else if (/^(jour|day)/.test(unit)) ms = DAY_MS;
+        else if (/^(semaine|week)/.test(unit)) ms = 7 * DAY_MS;
+        else ms = 30 * DAY_MS;
+        return new Date(now.getTime() - n * ms);
+    }
+
+    return null;
+}
+
+/**
+ * dateFilter input -> number of days + Rekrute listing filter value.
+ * The listing filter narrows the search server-side; the cutoff is still
+ * enforced on listing cards and detail pages in case it's ignored.
+ */
+export const DATE_FILTERS = {
+    '24 hours': { days: 1, listingParam: '1' },
+    '3 days': { days: 3, listingParam: '3' },
+    '7 days': { days: 7, listingParam: '7' },
+    '30 days': { days: 30, listingParam: '30' },
+};
+
+/**
+ * Oldest accepted publication date for a dateFilter value, or null for "any date".
+ * Rekrute only shows day-level dates, so the cutoff is rounded down to midnight UTC.
+ */
+export function getDateCutoff(dateFilter, now = new Date()) {
+    const filter = DATE_FILTERS[dateFilter];
+    if (!filter) return null;
+    const cutoff = new Date(now.getTime() - filter.days * DAY_MS);
+    cutoff.setUTCHours(0, 0, 0, 0);
+    return cutoff;
+}
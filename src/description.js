@@ -0,0 +1,463 @@
+// Rekrute.com jobs scraper - job description extraction and HTML cleanup
+
+import { load as cheerioLoad } from 'cheerio';
+import { JSDOM } from 'jsdom';
+
+import { stripAccents } from './utils.js';
+
+/**
+ * Sanitizer: remove scripts/styles/forms/nav/sidebar/footer etc.
+ * Then pick densest block (skipped for already-structured sections,
+ * where it would keep only the longest one).
+ */
+export function sanitizeDescriptionHtml(html, { pickDensest = true } = {}) {
+    if (!html) return null;
+
+    const $ = cheerioLoad(`<div id="root">${html}</div>`);
+
+    // Remove noise
+    $('#root script, #root style, #root link, #root noscript, #root form').remove();
+    $('#root header, #root nav, #root footer').remove();
+
+    const blacklistSelectors = [
+        '#fortopscroll',
+        '.wrapper',
+        '.preloader',
+        '#sidebar',
+        '#rk-articles',
+        '#rk-filter-panel',
+        '.pagination',
+        '.subbar',
+        '.footer',
+        'footer',
+        '#rk-auth-scope',
+        '.modal',
+        '.navbar-burger',
+    ];
+    for (const sel of blacklistSelectors) {
+        $(sel).remove();
+    }
+
+    // Flatten single-child wrappers
+    let changed = true;
+    while (changed) {
+        changed = false;
+        $('#root > div, #root > section, #root > article').each((_, el) => {
+            const $el = $(el);
+            const children = $el.children('div, section, article');
+            const textLen = $el.text().replace(/\s+/g, ' ').trim().length;
+            if (children.length === 1 && textLen === children.text().replace(/\s+/g, ' ').trim().length) {
+                $('#root').append(children);
+                $el.remove();
+                changed = true;
+            }
+        });
+    }
+
+    // densest block in root
+    let best = null;
+    let bestLen = 0;
+
+    $('#root')
+        .find('article, section, div, main')
+        .each((_, el) => {
+            const $el = $(el);
+            const classId = (($el.attr('class') || '') + ' ' + ($el.attr('id') || '')).toLowerCase();
+            if (/footer|nav|menu|breadcrumb|sidebar|filter|pagination/.test(classId)) return;
+
+            const text = $el.text().replace(/\s+/g, ' ').trim();
+            const len = text.length;
+            if (len > bestLen) {
+                bestLen = len;
+                best = el;
+            }
+        });
+
+    let finalHtml;
+    if (pickDensest && best && bestLen > 80) {
+        const $wrap = cheerioLoad('<div></div>');
+        $wrap('div').append(cheerioLoad(best).html() || '');
+        finalHtml = $wrap('div').html();
+    } else {
+        finalHtml = $('#root').html();
+    }
+
+    finalHtml = (finalHtml || '').trim();
+    return finalHtml || null;
+}
+
+/**
+ * FINAL step for description_html:
+ *  - keep only "text-related" tags
+ *  - drop layout tags & attributes (only keep href on <a>).
+ */
+export function simplifyHtmlContent(html) {
+    if (!html) return null;
+
+    const allowedTags = new Set([
+        'p', 'br',
+        'ul', 'ol', 'li',
+        'strong', 'b', 'em', 'i', 'u',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'a',
+    ]);
+
+    const $ = cheerioLoad(`<div id="root">${html}</div>`);
+
+    // unwrap disallowed tags (div, section, span, etc.)
+    $('#root *').each((_, el) => {
+        const $el = $(el);
+        const tag = el.tagName ? el.tagName.toLowerCase() : '';
+
+        if (!allowedTags.has(tag)) {
+            const text = $el.text().trim();
+            // only collapse to <p> when there's no block structure (paragraphs, lists, headings) to keep
+            const hasBlockChild = $el.find('p, ul, ol, li, h1, h2, h3, h4, h5, h6').length > 0;
+
+            if (text && !hasBlockChild && (tag === 'div' || tag === 'section' || tag === 'article')) {
+                const newHtml = `<p>${text}</p>`;
+                $el.replaceWith(newHtml);
+            } else {
+                $el.replaceWith($el.html() || '');
+            }
+        }
+    });
+
+    // Clean attributes & remove empty paragraphs/list items
+    $('#root *').each((_, el) => {
+        const $el = $(el);
+        const tag = el.tagName ? el.tagName.toLowerCase() : '';
+        const attrs = el.attribs || {};
+
+        Object.keys(attrs).forEach((attr) => {
+            $el.removeAttr(attr);
+        });
+
+        if (tag === 'a' && attrs.href) {
+            $el.attr('href', attrs.href);
+        }
+
+        if ((tag === 'p' || tag === 'li') && $el.text().replace(/\u00a0/g, ' ').trim().length === 0) {
+            $el.remove();
+        }
+    });
+
+    const result = $('#root').html() || '';
+    const trimmed = result.trim();
+    return trimmed || null;
+}
+
+/**
+ * Rekrute's structured description: `.contentbloc > .col-md-12.blc` blocks
+ * (inside #recruiterDescription when present), each as its h2/p/ul children's HTML.
+ */
+function getStructuredBlocks($) {
+    let container = $('#recruiterDescription');
+    if (!container.length) {
+        container = $('.contentbloc');
+    }
+    if (!container.length) return [];
+
+    const blocks = [];
+    container.find('> .col-md-12.blc').each((_, block) => {
+        const parts = [];
+        $(block).children('h2, p, ul').each((__, child) => {
+            const tag = child.tagName ? child.tagName.toLowerCase() : '';
+            const innerHtml = $(child).html() || '';
+            if (!tag || !innerHtml.trim()) return;
+            parts.push(`<${tag}>${innerHtml}</${tag}>`);
+        });
+        if (parts.length) blocks.push(parts);
+    });
+    return blocks;
+}
+
+/**
+ * Job description extraction, returns { html, source }.
+ * PRIORITY:
+ *  1) structured description in `.contentbloc > .col-md-12.blc` (h2, p, ul) -> "structuredBlocks"
+ *  2) #recruiterDescription as a whole                                      -> "recruiterDescription"
+ *  3) FR/EN section headings                                                -> "headings"
+ *  4) generic detail containers                                             -> "detailContainer"
+ *  5) densest block of the central column                                   -> "densestBlock"
+ */
+export function getDescriptionHtml($) {
+    let html = '';
+    let source = null;
+    let structured = false;
+
+    // 1) Preferred: inside recruiterDescription -> .contentbloc > .col-md-12.blc > h2/p/ul
+    const blocks = getStructuredBlocks($);
+    if (blocks.length) {
+        html = blocks.map((parts) => `<div class="job-section">${parts.join('\n')}</div>`).join('\n');
+        source = 'structuredBlocks';
+        structured = true;
+    }
+
+    // 2) If nothing from structured blocks, use recruiterDescription raw
+    if (!html) {
+        const recruiterDescRaw = $('#recruiterDescription').first();
+        if (recruiterDescRaw.length) {
+            html = recruiterDescRaw.html() || '';
+            if (html) source = 'recruiterDescription';
+        }
+    }
+
+    // 3) Older fallbacks (in case layout differs on some pages)
+    if (!html) {
+        const frPoste = $('h2:contains("Poste :"), h2:contains("Poste")')
+            .first()
+            .nextUntil('h2')
+            .toArray()
+            .map((el) => $.html(el))
+            .join('');
+        const frProfil = $('h2:contains("Profil recherché :"), h2:contains("Profil recherché")')
+            .first()
+            .nextUntil('h2')
+            .toArray()
+            .map((el) => $.html(el))
+            .join('');
+        const enPoste = $('h2:contains("Job Description"), h2:contains("Position"), h2:contains("Role")')
+            .first()
+            .nextUntil('h2')
+            .toArray()
+            .map((el) => $.html(el))
+            .join('');
+        const enProfil = $('h2:contains("Profile"), h2:contains("Requirements"), h2:contains("Responsibilities")')
+            .first()
+            .nextUntil('h2')
+            .toArray()
+            .map((el) => $.html(el))
+            .join('');
+
+        if (frPoste) html += frPoste;
+        if (frProfil) html += frProfil;
+        if (enPoste) html += enPoste;
+        if (enProfil) html += enProfil;
+        if (html) source = 'headings';
+    }
+
+    // 4) generic detail containers
+    if (!html) {
+        const jobSelectors = [
+            '#job_desc',
+            '#job-detail',
+            '.job-description',
+            '.job-desc',
+            '.job-detail',
+            '.jobdetail',
+            '.job-content',
+            '.job-body',
+            '.jobbody',
+            '.jobdescription',
+            '[itemprop="description"]',
+        ];
+
+        for (const sel of jobSelectors) {
+            const el = $(sel).first();
+            if (!el.length) continue;
+            const textLen = el.text().replace(/\s+/g, ' ').trim().length;
+            if (textLen > 80) {
+                html = el.html() || '';
+                if (html) source = 'detailContainer';
+                break;
+            }
+        }
+    }
+
+    // 5) fallback: central column densest block
+    if (!html) {
+        const centerSelectors = [
+            '.content-column',
+            '.col-md-9',
+            '#job',
+            '#job-info',
+        ];
+        let root = null;
+        for (const sel of centerSelectors) {
+            const el = $(sel).first();
+            if (el.length) {
+                root = el;
+                break;
+            }
+        }
+        if (root) {
+            let bestHtml = null;
+            let bestLen = 0;
+            root.find('div, section, article').each((_, el) => {
+                const $el = $(el);
+                const classId = (($el.attr('class') || '') + ' ' + ($el.attr('id') || '')).toLowerCase();
+                if (/sidebar|filter|pagination|breadcrumb|footer/.test(classId)) return;
+                const textLen = $el.text().replace(/\s+/g, ' ').trim().length;
+                if (textLen > bestLen) {
+                    bestLen = textLen;
+                    bestHtml = $el.html() || '';
+                }
+            });
+            if (bestHtml && bestLen > 80) {
+                html = bestHtml;
+                source = 'densestBlock';
+            }
+        }
+    }
+
+    if (!html) return { html: null, source: null };
+
+    let sanitized;
+    try {
+        const dom = new JSDOM(`<div id="root">${html}</div>`);
+        const root = dom.window.document.getElementById('root');
+        const raw = root.innerHTML || html;
+        sanitized = sanitizeDescriptionHtml(raw, { pickDensest: !structured });
+    } catch {
+        sanitized = sanitizeDescriptionHtml(html, { pickDensest: !structured });
+    }
+    return { html: sanitized, source: sanitized ? source : null };
+}
+
+// ---------- Markdown & sections ----------
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]])/g, '\\$1');
+
+// **bold** / _italic_ around the text, whitespace kept outside the markers
+const wrapInline = (content, marker) => {
+    const [, before, inner, after] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${before}${marker}${inner}${marker}${after}` : content;
+};
+
+/**
+ * Simplified description HTML (see simplifyHtmlContent) -> Markdown, keeping
+ * headings, bullet and numbered lists (nested), bold, italics, links and line breaks.
+ */
+export function htmlToMarkdown(html) {
+    if (!html) return null;
+    const $ = cheerioLoad(`<div id="root">${html}</div>`);
+
+    const inline = (nodes) => nodes.map((node) => {
+        if (node.type === 'text') return escapeMarkdown(node.data.replace(/\s+/g, ' '));
+        if (node.type !== 'tag') return '';
+        const content = inline(node.children);
+        switch (node.tagName.toLowerCase()) {
+            case 'br': return '\n';
+            case 'strong':
+            case 'b': return wrapInline(content, '**');
+            case 'em':
+            case 'i': return wrapInline(content, '_');
+            case 'a': {
+                const href = $(node).attr('href');
+                return href && content.trim() ? `[${content.trim()}](${href})` : content;
+            }
+            default: return content;
+        }
+    }).join('');
+
+    // inline content -> text lines, <br> as a Markdown hard break
+    const toLines = (nodes) => inline(nodes)
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .join('  \n');
+
+    const list = (el, indent) => {
+        const ordered = el.tagName.toLowerCase() === 'ol';
+        const items = [];
+        $(el).children('li').each((i, li) => {
+            const marker = ordered ? `${i + 1}.` : '-';
+            const childIndent = `${indent}${' '.repeat(marker.length + 1)}`;
+            const nested = li.children.filter((c) => c.type === 'tag' && /^(?:ul|ol)$/i.test(c.tagName));
+            const text = toLines(li.children.filter((c) => !nested.includes(c)));
+            items.push(`${indent}${marker} ${text.replace(/\n/g, `\n${childIndent}`)}`);
+            for (const sub of nested) items.push(list(sub, childIndent));
+        });
+        return items.join('\n');
+    };
+
+    const out = [];
+    let pending = [];
+    const flush = () => {
+        const text = toLines(pending);
+        if (text) out.push(text);
+        pending = [];
+    };
+
+    for (const node of $('#root')[0].children) {
+        const tag = node.type === 'tag' ? node.tagName.toLowerCase() : '';
+        if (/^h[1-6]$/.test(tag)) {
+            flush();
+            const text = toLines(node.children).replace(/ {2}\n/g, ' ');
+            if (text) out.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+        } else if (tag === 'ul' || tag === 'ol') {
+            flush();
+            const text = list(node, '');
+            if (text) out.push(text);
+        } else if (tag === 'p') {
+            flush();
+            pending = node.children;
+            flush();
+        } else {
+            pending.push(node);
+        }
+    }
+    flush();
+
+    return out.join('\n\n') || null;
+}
+
+// Section heading -> label, first match wins
+const SECTION_LABELS = [
+    ['advantages', /avantage|benefit|nous offrons|we offer|perks|package/],
+    ['profile', /profil|requirement|qualification|competence|skills|candidat/],
+    ['company', /entreprise|societe|qui sommes|a propos|about|company|employeur|employer|presentation/],
+    ['position', /poste|mission|job description|position|role|responsabilit|activite|taches|description/],
+];
+
+const getSectionLabel = (heading) => {
+    const folded = stripAccents(heading.toLowerCase());
+    return SECTION_LABELS.find(([, re]) => re.test(folded))?.[0] || 'other';
+};
+
+// Description HTML cut before each heading (for descriptions without Rekrute's blocks)
+function splitOnHeadings(html) {
+    if (!html) return [];
+    const $ = cheerioLoad(`<div id="root">${html}</div>`);
+    const chunks = [[]];
+    $('#root').contents().each((_, node) => {
+        if (node.type === 'tag' && /^h[1-6]$/i.test(node.tagName) && chunks[chunks.length - 1].length) chunks.push([]);
+        chunks[chunks.length - 1].push($.html(node));
+    });
+    return chunks.map((parts) => parts.join('')).filter((chunk) => chunk.trim());
+}
+
+/**
+ * Description split into labeled sections, returns { sections, source }:
+ *   sections: [{ label, heading, markdown }], label being
+ *   company | position | profile | advantages | other (from the heading; an untitled
+ *   first section is the company intro)
+ * Uses Rekrute's `.col-md-12.blc` blocks ("structuredBlocks"), else cuts
+ * `descriptionHtml` at its headings ("descriptionHtml").
+ */
+export function getDescriptionSections($, descriptionHtml = null) {
+    const blocks = getStructuredBlocks($);
+    const chunks = blocks.length ? blocks.map((parts) => parts.join('\n')) : splitOnHeadings(descriptionHtml);
+
+    const sections = [];
+    chunks.forEach((chunk, index) => {
+        const $section = cheerioLoad(`<div id="root">${simplifyHtmlContent(chunk) || ''}</div>`);
+        const first = $section('#root').children().first();
+        let heading = null;
+        if (first.length && /^h[1-6]$/i.test(first[0].tagName)) {
+            heading = first.text().replace(/\s+/g, ' ').replace(/\s*:\s*$/, '').trim() || null;
+            first.remove();
+        }
+        const markdown = htmlToMarkdown($section('#root').html());
+        if (!markdown) return;
+
+        const label = heading
+            ? getSectionLabel(heading)
+            : (index === 0 && chunks.length > 1 ? 'company' : 'other');
+        sections.push({ label, heading, markdown });
+    });
+
+    if (!sections.length) return { sections: [], source: null };
+    return { sections, source: blocks.length ? 'structuredBlocks' : 'descriptionHtml' };
+}
@@ -0,0 +1,587 @@
+// Rekrute.com jobs scraper - job detail page extractors
+
+import { cleanText, getJobIdFromUrl, toAbs } from './utils.js';
+import { parsePostedDate, toIsoDate } from './dates.js';
+import { formatJsonLdSalary, getSalary, getSalaryDetails, parseJsonLdSalary } from './salary.js';
+import {
+    getDescriptionHtml,
+    getDescriptionSections,
+    htmlToMarkdown,
+    simplifyHtmlContent,
+} from './description.js';
+import { getCompanyInfo } from './company.js';
+
+/**
+ * JSON-LD JobPosting extraction.
+ */
+export function extractFromJsonLd($) {
+    const scripts = $('script[type="application/ld+json"]');
+
+    for (let i = 0; i < scripts.length; i++) {
+        try {
+            const jsonText = $(scripts[i]).html() || '';
+            if (!jsonText.trim()) continue;
+
+            const parsed = JSON.parse(jsonText);
+            const nodes = [];
+            const addNode = (node) => {
+                if (!node) return;
+                if (Array.isArray(node)) {
+                    node.forEach(addNode);
+                } else if (node['@graph']) {
+                    addNode(node['@graph']);
+                } else {
+                    nodes.push(node);
+                }
+            };
+            addNode(parsed);
+
+            for (const e of nodes) {
+                const t = e['@type'] || e.type;
+                const types = Array.isArray(t) ? t : [t];
+                if (!types.includes('JobPosting')) continue;
+
+                const jobLoc = e.jobLocation || {};
+                const addr = jobLoc.address || {};
+
+                return {
+                    raw: e,
+                    title: e.title || e.name || null,
+                    company: e.hiringOrganization?.name || null,
+                    companyUrl: e.hiringOrganization?.sameAs || e.hiringOrganization?.url || null,
+                    companyLogoUrl:
+                        (typeof e.hiringOrganization?.logo === 'string'
+                            ? e.hiringOrganization.logo
+                            : e.hiringOrganization?.logo?.url) || null,
+                    datePosted: e.datePosted || null,
+                    descriptionHtml: e.description || null,
+                    employmentType: e.employmentType || null,
+                    validThrough: e.validThrough || null,
+                    location:
+                        addr.addressLocality ||
+                        addr.addressRegion ||
+                        addr.addressCountry ||
+                        null,
+                    salary: formatJsonLdSalary(e.baseSalary),
+                    baseSalary: parseJsonLdSalary(e.baseSalary),
+                };
+            }
+        } catch {
+            // ignore JSON errors
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse title + company + possible location from headings.
+ * `sources` names the strategy behind each value (h1, companySelector, microdata, locationLabel).
+ */
+export function parseTitleCompanyLocation($) {
+    const h1 = $('h1').first().text().trim();
+    let title = null;
+    let company = null;
+    let location = null;
+    const sources = { title: null, company: null, location: null };
+
+    if (h1) {
+        const parts = h1.split(/\s[-–|]\s/);
+        if (parts.length >= 1) title = parts[0]?.trim() || null;
+        if (parts.length >= 2) company = parts[1]?.trim() || null;
+        if (parts.length >= 3) location = parts[2]?.trim() || null;
+        if (title) sources.title = 'h1';
+        if (company) sources.company = 'h1';
+        if (location) sources.location = 'h1';
+    }
+
+    if (!company) {
+        const companySel =
+            '.company, .company-name, .societe, .society, a.company, a.company-name';
+        company = $(companySel).first().text().trim() || null;
+        if (company) sources.company = 'companySelector';
+    }
+
+    if (!location) {
+        const microLoc = $('[itemprop="jobLocation"] [itemprop="addressLocality"], [itemprop="addressLocality"]').first().text().trim();
+        if (microLoc) {
+            location = microLoc;
+            sources.location = 'microdata';
+        }
+    }
+
+    if (!location) {
+        const locLabel = $('p:contains("Poste basé à"), p:contains("Localisation"), p:contains("Location")')
+            .first()
+            .text();
+        if (locLabel) {
+            const m = locLabel.match(/(?:basé à|Localisation|Location)\s*[:\-]?\s*(.*)/i);
+            if (m && m[1]) {
+                location = m[1].trim();
+                sources.location = 'locationLabel';
+            }
+        }
+    }
+
+    return { title, company, location, sources };
+}
+
+/**
+ * Date posted (raw value + strategy: frLabel, enLabel, bodyText).
+ */
+export function getDatePosted($) {
+    const frText = $('p:contains("Publiée"), span:contains("Publiée")').first().text();
+    if (frText) {
+        const m = frText.match(/Publiée\s+(?:le\s+)?(.*)/i);
+        if (m && m[1]) return { value: m[1].trim(), source: 'frLabel' };
+    }
+
+    const enText = $('p:contains("Published"), p:contains("Posted"), span:contains("Published"), span:contains("Posted")')
+        .first()
+        .text();
+    if (enText) {
+        const m = enText.match(/(?:Published|Posted)\s+(?:on\s+)?(.*)/i);
+        if (m && m[1]) return { value: m[1].trim(), source: 'enLabel' };
+    }
+
+    // Last resort: a date right after a publication label (any date in the body is too loose)
+    const bodyText = $('body').text().replace(/\s+/g, ' ');
+    const dateMatch = bodyText.match(/(?:Publiée?|Publication|Published|Posted)\s*(?:le|on)?\s*:?\s*(?:du\s+|from\s+)?(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i);
+    if (dateMatch && dateMatch[1]) {
+        return { value: dateMatch[1], source: 'bodyText' };
+    }
+
+    return { value: null, source: null };
+}
+
+/**
+ * Extract extra meta from the header column:
+ *   .col-md-10.col-sm-12.col-xs-12
+ */
+export function extractHeaderInfo($) {
+    const header = $('.col-md-10.col-sm-12.col-xs-12').first();
+    if (!header.length) return {};
+
+    // One " | "-separated segment per block so each label stops at the end of its own line
+    const blockSel = 'h1, h2, h3, h4, p, li, em, div';
+    const normalize = (t) => t.replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+    const segments = [];
+    header.find(blockSel).each((_, el) => {
+        const $el = $(el);
+        if ($el.find(blockSel).length) return;
+        const segment = normalize($el.text());
+        if (segment) segments.push(segment);
+    });
+    const text = segments.length ? segments.join(' | ') : normalize(header.text());
+
+    if (!text) return {};
+
+    let employmentType = null;
+    let salary = null;
+    let location = null;
+
+    // Employment type patterns (French & English)
+    const typePatterns = [
+        /Type\s+de\s+contrat(?:\s+proposé)?\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+        /Type\s+of\s+contract(?:\s+proposé)?\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+        /Contrat\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+    ];
+    for (const re of typePatterns) {
+        const m = text.match(re);
+        if (m && m[1]) {
+            employmentType = m[1].trim();
+            break;
+        }
+    }
+
+    // Salary patterns
+    const salaryPatterns = [
+        /Salaire\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+        /Rémunération\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+        /Salary\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+    ];
+    for (const re of salaryPatterns) {
+        const m = text.match(re);
+        if (m && m[1]) {
+            salary = m[1].trim();
+            break;
+        }
+    }
+
+    // Location (optional)
+    const locPatterns = [
+        /Lieu\s+de\s+travail\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+        /Localisation\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+        /Location\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
+    ];
+    for (const re of locPatterns) {
+        const m = text.match(re);
+        if (m && m[1]) {
+            location = m[1].trim();
+            break;
+        }
+    }
+
+    return { employmentType, salary, location };
+}
+
+const BEGINNER = /débutant|junior|sans expérience|no experience|beginner|entry level/;
+
+/**
+ * "De 3 à 5 ans", "Plus de 10 ans", "Moins d'1 an", "3 to 5 years", "Débutant"
+ *   -> { experienceMinYears, experienceMaxYears }
+ */
+export function parseExperienceRange(text) {
+    const empty = { experienceMinYears: null, experienceMaxYears: null };
+    if (!text) return empty;
+    const lower = String(text).toLowerCase();
+
+    const nums = (lower.match(/\d+/g) || []).map(Number);
+
+    if (/moins d|less than|under|</.test(lower) && nums.length) {
+        return { experienceMinYears: 0, experienceMaxYears: nums[0] };
+    }
+    if (/plus de|more than|over|au moins|at least|\+/.test(lower) && nums.length === 1) {
+        return { experienceMinYears: nums[0], experienceMaxYears: null };
+    }
+    if (nums.length >= 2) {
+        return { experienceMinYears: Math.min(nums[0], nums[1]), experienceMaxYears: Math.max(nums[0], nums[1]) };
+    }
+    // "Débutant à 2 ans": a beginner level with a single number is an upper bound
+    if (nums.length === 1 && BEGINNER.test(lower)) {
+        return { experienceMinYears: 0, experienceMaxYears: nums[0] };
+    }
+    if (nums.length === 1) {
+        return { experienceMinYears: nums[0], experienceMaxYears: nums[0] };
+    }
+    if (BEGINNER.test(lower)) {
+        return { experienceMinYears: 0, experienceMaxYears: 0 };
+    }
+
+    return empty;
+}
+
+// Label -> field for the Rekrute "feature" lines (FR + EN pages)
+const JOB_ATTRIBUTE_LABELS = [
+    ['experience', /(?:Expérience\s+requise|Experience\s+required|Required\s+experience)/],
+    ['educationLevel', /(?:Niveau\s+d'étude(?:s)?(?:\s+demandé)?|Required\s+(?:level\s+of\s+)?education(?:\s+level)?|Study\s+level|Education\s+level)/],
+    ['sector', /(?:Secteur(?:\s+d'activité)?|Business\s+sector|Sector(?:\s+of\s+activity)?)/],
+    ['jobFunction', /(?:Fonction|Function|Job\s+function)/],
+    ['telework', /(?:Télétravail|Telework|Remote\s+work(?:ing)?)/],
+    ['positionsCount', /(?:Postes?\s+proposés?|Nombre\s+de\s+postes|Positions?\s+offered|Number\s+of\s+positions)/],
+];
+
+/**
+ * Rekrute-specific attributes from the offer's feature lines and header:
+ * experience, education level, sector, function, telework and positions count.
+ * Works on a detail page (scope = body) or a single listing card.
+ */
+export function extractJobAttributes($, $scope = $('body')) {
+    const lines = [];
+    $scope.find('li, em.date, .col-md-10.col-sm-12.col-xs-12 p').each((_, el) => {
+        const $el = $(el);
+        if ($el.closest('#rk-filter-panel, #sidebar, nav, footer, .modal').length) return;
+        // leaf items only, nested lists are read from their own <li>
+        if (el.tagName === 'li' && $el.find('li').length) return;
+        const text = $el.text().replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+        if (text) lines.push(text);
+    });
+    const text = lines.join(' | ');
+
+    const attrs = {};
+    for (const [field, label] of JOB_ATTRIBUTE_LABELS) {
+        // value runs until the next separator or the next "Label :" inside the same line
+        const re = new RegExp(`${label.source}\\s*:\\s*(.+?)(?=\\s*(?:\\||•|$|\\s-\\s[^:|]{2,40}:))`, 'i');
+        const m = text.match(re);
+        attrs[field] = m && m[1] ? m[1].trim() : null;
+    }
+
+    const positions = attrs.positionsCount ? parseInt(attrs.positionsCount, 10) : NaN;
+
+    return {
+        experience: attrs.experience,
+        ...parseExperienceRange(attrs.experience),
+        educationLevel: attrs.educationLevel,
+        sector: attrs.sector,
+        jobFunction: attrs.jobFunction,
+        telework: attrs.telework,
+        positionsCount: Number.isFinite(positions) ? positions : null,
+    };
+}
+
+/**
+ * Employment type (raw value + where it came from):
+ *  1) JSON-LD                                             -> source "jsonLd"
+ *  2) dedicated <li> "Type de contrat ..."/"Type of contract ..." -> "li"
+ *  3) headerMeta                                          -> "header"
+ *  4) heuristics in the description text                  -> "description"
+ */
+export function getEmploymentType($, jsonLd, descriptionText, headerMeta = {}) {
+    if (jsonLd?.employmentType) {
+        const value = [].concat(jsonLd.employmentType).filter(Boolean).join(', ');
+        if (value) return { value, source: 'jsonLd' };
+    }
+
+    // 2) <li> based extraction
+    const li = $('li:contains("Type de contrat"), li:contains("Type of contract")')
+        .filter((_, el) => !$(el).closest('#rk-filter-panel, #sidebar').length)
+        .first();
+    if (li.length) {
+        const text = li
+            .text()
+            .replace(/\u00a0/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (text) {
+            const m =
+                text.match(/Type\s+de\s+contrat(?:\s+proposé)?\s*[:\-]\s*([^-\|]+)/i) ||
+                text.match(/Type\s+of\s+contract(?:\s+proposé)?\s*[:\-]\s*([^-\|]+)/i);
+            if (m && m[1]) {
+                const parsed = m[1].trim();
+                if (parsed) return { value: parsed, source: 'li' };
+            }
+        }
+    }
+
+    // 3) header meta
+    if (headerMeta.employmentType) return { value: headerMeta.employmentType, source: 'header' };
+
+    // 4) heuristics, on the description only: the rest of the page (menus, filters,
+    // other offers) mentions every contract type
+    const text = (descriptionText || '').toLowerCase();
+    const heuristics = [
+        [/\bcdi\b/, 'CDI'],
+        [/\bcdd\b/, 'CDD'],
+        [/\bfull[-\s]?time\b|\btemps plein\b/, 'FULL_TIME'],
+        [/\bpart[-\s]?time\b|\btemps partiel\b/, 'PART_TIME'],
+        [/\bstage\b|\binternship\b/, 'INTERNSHIP'],
+        [/\bfreelance\b|\bindépendant\b|\bindependent contractor\b/, 'CONTRACTOR'],
+    ];
+    for (const [re, value] of heuristics) {
+        if (re.test(text)) return { value, source: 'description' };
+    }
+
+    return { value: null, source: null };
+}
+
+// Raw contract text (FR/EN/schema.org) -> contractType enum. Order matters:
+// "Intérim" and "Stage" offers often also mention CDD/CDI.
+const CONTRACT_TYPES = [
+    ['ANAPEC', /anapec|idmaj|contrat d'insertion|\bcdi\b.*insertion|tahfiz|taehil/],
+    ['INTERIM', /intérim|interim|travail temporaire|temporary work/],
+    ['STAGE', /\bstage\b|stagiaire|internship|\bintern\b|\bpfe\b/],
+    ['FREELANCE', /freelance|indépendant|independent|contractor|consultant/],
+    ['CDD', /\bcdd\b|durée déterminée|fixed[-\s]?term|\btemporary\b/],
+    ['CDI', /\bcdi\b|durée indéterminée|permanent/],
+];
+
+// Employment types that only give the working time (FR/EN, schema.org FULL_TIME/PART_TIME
+// once "_" is a space): no contract type rather than OTHER
+const WORKING_TIME = /(?:full[-\s]?time|part[-\s]?time|temps plein|plein temps|temps partiel|mi-temps)/.source;
+const WORKING_TIME_ONLY = new RegExp(`^${WORKING_TIME}(?:\\s*[,/]\\s*${WORKING_TIME})*$`);
+
+/**
+ * Raw employment type -> { contractType, workingTime }.
+ *   contractType: CDI | CDD | INTERIM | STAGE | FREELANCE | ANAPEC | OTHER (null when unknown)
+ *   workingTime:  FULL_TIME | PART_TIME (null when unknown)
+ * Working time falls back to the description when the contract field doesn't say.
+ */
+export function normalizeEmploymentType(raw, descriptionText) {
+    const text = (raw || '').toLowerCase().replace(/_/g, ' ');
+
+    let contractType = null;
+    for (const [type, re] of CONTRACT_TYPES) {
+        if (re.test(text)) {
+            contractType = type;
+            break;
+        }
+    }
+    if (!contractType && text.trim() && !WORKING_TIME_ONLY.test(text.trim())) contractType = 'OTHER';
+
+    const workingTimeOf = (t) => {
+        if (/\bfull[-\s]?time\b|\btemps plein\b|\bplein temps\b/.test(t)) return 'FULL_TIME';
+        if (/\bpart[-\s]?time\b|\btemps partiel\b|\bmi-temps\b/.test(t)) return 'PART_TIME';
+        return null;
+    };
+    const workingTime = workingTimeOf(text) || workingTimeOf((descriptionText || '').toLowerCase());
+
+    return { contractType, workingTime };
+}
+
+/**
+ * Infer language.
+ */
+export function detectLanguage($, url) {
+    const htmlLang =
+        $('html').attr('lang') ||
+        $('html').attr('xml:lang') ||
+        $('meta[http-equiv="content-language"]').attr('content') ||
+        '';
+
+    const langLower = htmlLang.toLowerCase();
+
+    if (langLower.startsWith('fr')) return 'fr';
+    if (langLower.startsWith('en')) return 'en';
+
+    if (/\/en\//i.test(url)) return 'en';
+    if (/rekrute\.com\/(fr|offres)/i.test(url)) return 'fr';
+
+    const bodyText = $('body').text().toLowerCase();
+    const frHits = (bodyText.match(/\boffre d'emploi|poste|profil recherché|contrat|mission\b/g) || []).length;
+    const enHits = (bodyText.match(/\bjob|position|requirements|responsibilities|full-time|part-time\b/g) || []).length;
+
+    if (frHits > enHits) return 'fr';
+    if (enHits > frHits) return 'en';
+
+    return null;
+}
+
+/**
+ * Fallback for location from header / URL (value + strategy: headerMeta,
+ * pageHeading, cardTeaser, urlSlug).
+ */
+export function inferLocationFallback($, url, existingLocation, headerMeta = {}) {
+    if (existingLocation) return { value: existingLocation, source: null };
+    if (headerMeta.location) return { value: headerMeta.location, source: 'headerMeta' };
+
+    const headerText =
+        $('.page-heading h1').first().text() ||
+        $('h1').first().text() ||
+        $('title').first().text() ||
+        '';
+
+    if (headerText) {
+        const m = headerText.match(/\|\s*([^|]+?\(Morocco\)|[^|]+?\(Maroc\))/i);
+        if (m && m[1]) return { value: m[1].trim(), source: 'pageHeading' };
+    }
+
+    const teaser = $('a.titreJob').first().text();
+    if (teaser) {
+        const m = teaser.match(/\|\s*([^|]+?\(Morocco\)|[^|]+?\(Maroc\))/i);
+        if (m && m[1]) return { value: m[1].trim(), source: 'cardTeaser' };
+    }
+
+    try {
+        const path = new URL(url).pathname;
+        const slugMatch = path.match(/-([a-zA-ZÀ-ÿ]+)-\d+\.html$/i);
+        if (slugMatch && slugMatch[1]) {
+            const citySlug = slugMatch[1];
+            const city = citySlug
+                .split('-')
+                .map((p) => p.charAt(0).toUpperCase() + p.slice(1).toLowerCase())
+                .join('-');
+            return { value: city, source: 'urlSlug' };
+        }
+    } catch {
+        // ignore
+    }
+
+    return { value: null, source: null };
+}
+
+/**
+ * Strategy name for an `_extraction` entry, null when the field came out empty.
+ */
+function sourceOf(value, source) {
+    return value === null || value === undefined || value === '' ? null : source;
+}
+
+/**
+ * Full job record from a detail page. Every field has a fallback chain, see the
+ * individual extractors above; `_extraction` records which one was used.
+ */
+export function extractJobDetail($, url, { sourceUrl = null } = {}) {
+    const jsonLd = extractFromJsonLd($);
+    const datePostedFromPage = jsonLd?.datePosted ? null : getDatePosted($);
+    const datePosted = jsonLd?.datePosted || datePostedFromPage.value;
+
+    const heading = parseTitleCompanyLocation($);
+    const headerMeta = extractHeaderInfo($);
+    const descriptionFromPage = jsonLd?.descriptionHtml ? null : getDescriptionHtml($);
+    const descriptionHtmlRaw = jsonLd?.descriptionHtml || descriptionFromPage.html;
+    const descriptionHtml = simplifyHtmlContent(descriptionHtmlRaw);
+    const descriptionText = cleanText(descriptionHtml);
+    const descriptionMarkdown = htmlToMarkdown(descriptionHtml);
+    const descriptionSections = getDescriptionSections($, descriptionHtml);
+
+    const locationFound = jsonLd?.location || heading.location || null;
+    const locationFallback = inferLocationFallback($, url, locationFound, headerMeta);
+    let locationSource = locationFallback.source;
+    if (jsonLd?.location) locationSource = 'jsonLd';
+    else if (heading.location) locationSource = heading.sources.location;
+
+    const { value: employmentType, source: employmentTypeSource } = getEmploymentType(
+        $,
+        jsonLd,
+        descriptionText,
+        headerMeta,
+    );
+    const { value: salary, source: salarySource } = getSalary(
+        $,
+        jsonLd,
+        descriptionText,
+        headerMeta,
+    );
+    const salaryDetails = getSalaryDetails(jsonLd, salary);
+    const jobAttributes = extractJobAttributes($);
+    const companyInfo = getCompanyInfo($, url, jsonLd);
+    const language = detectLanguage($, url);
+
+    const jobId = getJobIdFromUrl(url);
+    const title = jsonLd?.title || heading.title || null;
+    const company = jsonLd?.company || heading.company || null;
+
+    const salaryAmountSource = jsonLd?.baseSalary ? 'jsonLd' : 'salaryText';
+    const jsonLdCompanyUrl = jsonLd?.companyUrl ? toAbs(jsonLd.companyUrl, url) : null;
+    const _extraction = {
+        title: sourceOf(title, jsonLd?.title ? 'jsonLd' : heading.sources.title),
+        company: sourceOf(company, jsonLd?.company ? 'jsonLd' : heading.sources.company),
+        companyUrl: sourceOf(
+            companyInfo.companyUrl,
+            companyInfo.companyUrl === jsonLdCompanyUrl ? 'jsonLd' : 'companyLink',
+        ),
+        companyLogoUrl: sourceOf(companyInfo.companyLogoUrl, jsonLd?.companyLogoUrl ? 'jsonLd' : 'logoImg'),
+        datePosted: sourceOf(datePosted, jsonLd?.datePosted ? 'jsonLd' : datePostedFromPage.source),
+        validThrough: sourceOf(jsonLd?.validThrough, 'jsonLd'),
+        descriptionHtml: sourceOf(descriptionHtml, jsonLd?.descriptionHtml ? 'jsonLd' : descriptionFromPage.source),
+        descriptionSections: descriptionSections.source,
+        employmentType: employmentTypeSource,
+        salary: salarySource,
+        salaryMin: sourceOf(salaryDetails.salaryMin, salaryAmountSource),
+        salaryMax: sourceOf(salaryDetails.salaryMax, salaryAmountSource),
+        location: sourceOf(locationFallback.value, locationSource),
+    };
+    for (const field of ['experience', 'educationLevel', 'sector', 'jobFunction', 'telework', 'positionsCount']) {
+        _extraction[field] = sourceOf(jobAttributes[field], 'featureLines');
+    }
+
+    return {
+        url,
+        sourceUrl,
+        jobId,
+        title,
+        company,
+        ...companyInfo,
+        datePosted,
+        datePostedIso: toIsoDate(parsePostedDate(datePosted)),
+        validThrough: jsonLd?.validThrough || null,
+        validThroughIso: toIsoDate(parsePostedDate(jsonLd?.validThrough)),
+        descriptionHtml,
+        descriptionText,
+        descriptionMarkdown,
+        descriptionSections: descriptionSections.sections,
+        employmentType,
+        employmentTypeSource,
+        ...normalizeEmploymentType(employmentType, descriptionText),
+        salary,
+        ...salaryDetails,
+        location: locationFallback.value,
+        ...jobAttributes,
+        language,
+        // Store JSON-LD as a STRING to avoid Apify flattening into dozens of columns
+        rawJsonLd: jsonLd?.raw ? JSON.stringify(jsonLd.raw) : null,
+        _extraction,
+        changeStatus: null,
+        scrapedAt: new Date().toISOString(),
+    };
+}
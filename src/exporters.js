@@ -0,0 +1,296 @@
+// Rekrute.com jobs scraper - end-of-run exports (CSV, XLSX, JSON Lines, schema.org JobPosting)
+
+import { deflateRawSync } from 'node:zlib';
+
+// Spreadsheet columns, in order. Detail-only fields are empty for listing-only records.
+export const EXPORT_COLUMNS = [
+    'jobId', 'url', 'title', 'company', 'companyId', 'companyUrl', 'location',
+    'datePostedIso', 'validThroughIso', 'contractType', 'workingTime', 'employmentType',
+    'salary', 'salaryMin', 'salaryMax', 'currency', 'period', 'isNegotiable',
+    'experience', 'experienceMinYears', 'experienceMaxYears', 'educationLevel',
+    'sector', 'jobFunction', 'telework', 'positionsCount', 'language', 'languagesAvailable', 'title_fr', 'title_en',
+    'skills', 'languagesRequired', 'searches', 'relevanceScore', 'matchedKeywords', 'changeStatus',
+    'descriptionText', 'descriptionMarkdown', 'description_fr', 'description_en', 'sourceUrl', 'scrapedAt',
+];
+
+export const OUTPUT_FORMATS = {
+    csv: { key: 'jobs.csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { key: 'jobs.xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    jsonl: { key: 'jobs.jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+    jobposting: { key: 'jobs.jsonld', contentType: 'application/ld+json' },
+};
+
+/**
+ * Spreadsheet cell value: lists of strings joined, other objects as JSON, null as empty.
+ */
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value) && value.every((v) => typeof v !== 'object')) return value.join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * RFC 4180 CSV with a UTF-8 BOM so Excel shows accents correctly.
+ */
+export function toCsv(records, columns = EXPORT_COLUMNS) {
+    const escape = (value) => {
+        const text = String(toCell(value));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.join(',')];
+    for (const record of records) lines.push(columns.map((column) => escape(record[column])).join(','));
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+export function toJsonLines(records) {
+    return records.map((record) => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+// ---------- XLSX ----------
+
+const xmlEscape = (text) => String(text)
+    // characters XML 1.0 doesn't allow at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Excel refuses cells longer than this
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+function sheetXml(records, columns) {
+    const row = (values, r) => {
+        const cells = values.map((value, c) => {
+            const ref = `${columnName(c)}${r}`;
+            const cell = toCell(value);
+            if (cell === '') return '';
+            if (typeof cell === 'number' && Number.isFinite(cell)) return `<c r="${ref}"><v>${cell}</v></c>`;
+            if (typeof cell === 'boolean') return `<c r="${ref}" t="b"><v>${cell ? 1 : 0}</v></c>`;
+            const text = xmlEscape(String(cell).slice(0, XLSX_MAX_CELL_LENGTH));
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+        });
+        return `<row r="${r}">${cells.join('')}</row>`;
+    };
+
+    const rows = [row(columns, 1), ...records.map((record, i) => row(columns.map((c) => record[c]), i + 2))];
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+}
+
+// zlib.crc32 only exists from Node 20.15 / 22.2, so the zip checksum is computed here
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Minimal zip (deflate, no zip64) - enough for an XLSX package.
+ */
+function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, content } of files) {
+        const nameBuf = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt32LE(0, 10); // time/date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuf.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuf.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuf, compressed);
+        centrals.push(central, nameBuf);
+        offset += local.length + nameBuf.length + compressed.length;
+    }
+
+    const centralSize = centrals.reduce((sum, buf) => sum + buf.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Single-sheet XLSX workbook (header row frozen), as a Buffer.
+ */
+export function toXlsx(records, columns = EXPORT_COLUMNS) {
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+                + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + '<sheets><sheet name="Jobs" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '</Relationships>',
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: sheetXml(records, columns) },
+    ]);
+}
+
+// ---------- schema.org JobPosting ----------
+
+// contractType -> schema.org employmentType (CDI says nothing about working time)
+const SCHEMA_CONTRACT_TYPES = {
+    CDD: 'TEMPORARY',
+    INTERIM: 'TEMPORARY',
+    STAGE: 'INTERN',
+    FREELANCE: 'CONTRACTOR',
+    ANAPEC: 'OTHER',
+    OTHER: 'OTHER',
+};
+
+const SCHEMA_PERIODS = { hour: 'HOUR', month: 'MONTH', year: 'YEAR' };
+
+const withoutEmpty = (obj) => Object.fromEntries(
+    Object.entries(obj).filter(([, v]) => v !== null && v !== undefined && v !== '' && !(Array.isArray(v) && !v.length)),
+);
+
+/**
+ * schema.org JobPosting rebuilt from our normalized fields, so it is complete
+ * and consistent whether or not the page had JSON-LD of its own.
+ */
+export function toJobPosting(record) {
+    const city = (record.location || '').replace(/\s*\((?:Maroc|Morocco)\)\s*$/i, '').trim();
+
+    let baseSalary = null;
+    if (record.salaryMin !== null && record.salaryMin !== undefined
+        || record.salaryMax !== null && record.salaryMax !== undefined) {
+        baseSalary = {
+            '@type': 'MonetaryAmount',
+            currency: record.currency || undefined,
+            value: withoutEmpty({
+                '@type': 'QuantitativeValue',
+                minValue: record.salaryMin,
+                maxValue: record.salaryMax,
+                unitText: SCHEMA_PERIODS[record.period],
+            }),
+        };
+    }
+
+    return withoutEmpty({
+        '@type': 'JobPosting',
+        identifier: record.jobId ? { '@type': 'PropertyValue', name: 'Rekrute', value: record.jobId } : null,
+        title: record.title,
+        // description is required by consumers, fall back to the title for listing-only records
+        description: record.descriptionHtml || record.descriptionText || record.title,
+        url: record.url,
+        datePosted: record.datePostedIso,
+        validThrough: record.validThroughIso,
+        employmentType: [...new Set([record.workingTime, SCHEMA_CONTRACT_TYPES[record.contractType]].filter(Boolean))],
+        hiringOrganization: record.company
+            ? withoutEmpty({
+                '@type': 'Organization',
+                name: record.company,
+                sameAs: record.companyUrl,
+                logo: record.companyLogoUrl,
+            })
+            : null,
+        jobLocation: {
+            '@type': 'Place',
+            address: withoutEmpty({ '@type': 'PostalAddress', addressLocality: city, addressCountry: 'MA' }),
+        },
+        jobLocationType: /^(?:oui|yes|100%|full remote|télétravail complet)/i.test(record.telework || '')
+            ? 'TELECOMMUTE'
+            : null,
+        baseSalary: baseSalary ? withoutEmpty(baseSalary) : null,
+        experienceRequirements: record.experienceMinYears !== null && record.experienceMinYears !== undefined
+            ? { '@type': 'OccupationalExperienceRequirements', monthsOfExperience: record.experienceMinYears * 12 }
+            : null,
+        educationRequirements: record.educationLevel,
+        skills: record.skills,
+        industry: record.sector,
+        occupationalCategory: record.jobFunction,
+        totalJobOpenings: record.positionsCount,
+        inLanguage: record.language,
+    });
+}
+
+/**
+ * JSON-LD feed: every job as a JobPosting node of one @graph.
+ */
+export function toJobPostingFeed(records) {
+    return {
+        '@context': 'https://schema.org',
+        '@graph': records.map(toJobPosting),
+    };
+}
+
+/**
+ * Export file body for one of OUTPUT_FORMATS.
+ */
+export function buildExport(format, records) {
+    switch (format) {
+        case 'csv': return toCsv(records);
+        case 'xlsx': return toXlsx(records);
+        case 'jsonl': return toJsonLines(records);
+        case 'jobposting': return JSON.stringify(toJobPostingFeed(records), null, 2);
+        default: throw new Error(`Unknown output format "${format}", expected one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+}
@@ -0,0 +1,126 @@
+// Rekrute.com jobs scraper - location/category names -> Rekrute filter IDs
+
+import { stripAccents, toAbs } from './utils.js';
+
+// Listing pages whose filter panel lists every option, one per language
+export const FILTER_PAGES = [
+    'https://www.rekrute.com/offres.html',
+    'https://www.rekrute.com/en/offres.html',
+];
+
+// Filter query param -> kind of user input it resolves
+const FILTER_KINDS = [
+    ['location', /city|ville|region|location|lieu/i],
+    ['category', /sector|secteur|position|fonction|categor/i],
+];
+
+const PAGING_PARAMS = new Set(['s', 'p', 'o', 'clear', 'keyword']);
+
+/**
+ * Case-, accent- and punctuation-insensitive form used for matching.
+ */
+export function normalizeFilterLabel(text) {
+    return stripAccents(String(text || '').toLowerCase())
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function getFilterKind(param) {
+    const kind = FILTER_KINDS.find(([, re]) => re.test(param));
+    return kind ? kind[0] : null;
+}
+
+/**
+ * Filter options from a listing page's filter panel (#rk-filter-panel):
+ * checkboxes/radios with their label, <select> options and filter links.
+ *   -> { location: [{ param, value, labels }], category: [...] }
+ */
+export function parseFilterOptions($, baseUrl = FILTER_PAGES[0]) {
+    const found = [];
+    const panel = $('#rk-filter-panel');
+    // label text without the "(312)" job counts
+    const cleanLabel = (text) => (text || '')
+        .replace(/\(\s*\d+\s*\)/g, '')
+        .replace(/\u00a0/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    panel.find('input[type="checkbox"][name][value], input[type="radio"][name][value]').each((_, el) => {
+        const $el = $(el);
+        const id = $el.attr('id');
+        const $label = id ? panel.find(`label[for="${id}"]`) : $el.closest('label');
+        const label = cleanLabel(($label.length ? $label : $el.parent()).text());
+        found.push({ param: $el.attr('name'), value: $el.attr('value'), label });
+    });
+
+    panel.find('select[name] option[value]').each((_, el) => {
+        const $el = $(el);
+        found.push({ param: $el.closest('select').attr('name'), value: $el.attr('value'), label: cleanLabel($el.text()) });
+    });
+
+    panel.find('a[href*="?"]').each((_, el) => {
+        const abs = toAbs($(el).attr('href'), baseUrl);
+        if (!abs) return;
+        const params = [...new URL(abs).searchParams.entries()].filter(([name]) => !PAGING_PARAMS.has(name));
+        if (params.length !== 1) return;
+        found.push({ param: params[0][0], value: params[0][1], label: cleanLabel($(el).text()) });
+    });
+
+    const options = { location: [], category: [] };
+    for (const { param, value, label } of found) {
+        const kind = getFilterKind(param || '');
+        if (!kind || !value || !label) continue;
+        options[kind].push({ param, value, labels: [label] });
+    }
+    return mergeFilterOptions([options]);
+}
+
+/**
+ * Merge options parsed from several pages (FR + EN): one entry per param/value,
+ * with the labels of every language.
+ */
+export function mergeFilterOptions(optionSets) {
+    const merged = { location: [], category: [] };
+    for (const kind of Object.keys(merged)) {
+        const byKey = new Map();
+        for (const options of optionSets) {
+            for (const option of options?.[kind] || []) {
+                const key = `${option.param}=${option.value}`;
+                if (!byKey.has(key)) byKey.set(key, { param: option.param, value: option.value, labels: [] });
+                const entry = byKey.get(key);
+                for (const label of option.labels) {
+                    if (!entry.labels.includes(label)) entry.labels.push(label);
+                }
+            }
+        }
+        merged[kind] = [...byKey.values()];
+    }
+    return merged;
+}
+
+/**
+ * User input ("casablanca", "Fes", "IT / Computing") -> filter option of `kind`.
+ * Exact label match first (any language), then a label starting with the input when
+ * only one does. Throws with the list of valid values when nothing matches.
+ * Null for an empty input, or when the filter panel had no options of `kind` to match.
+ */
+export function resolveFilterOption(options, kind, input) {
+    const wanted = normalizeFilterLabel(input);
+    const candidates = options?.[kind] || [];
+    if (!wanted || !candidates.length) return null;
+
+    const matches = (test) => candidates.filter((o) => o.labels.some((label) => test(normalizeFilterLabel(label))));
+
+    const exact = matches((label) => label === wanted);
+    if (exact.length) return exact[0];
+
+    const prefixed = matches((label) => label.startsWith(wanted));
+    if (prefixed.length === 1) return prefixed[0];
+
+    const shown = (prefixed.length > 1 ? prefixed : candidates)
+        .map(({ labels: [first, ...others] }) => (others.length ? `${first} (${others.join(', ')})` : first));
+    throw new Error(
+        `Unknown ${kind} "${input}"${prefixed.length > 1 ? ' (ambiguous)' : ''}. `
+        + `Valid values: ${shown.join(', ')}.`,
+    );
+}
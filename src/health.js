@@ -0,0 +1,80 @@
+// Rekrute.com jobs scraper - extraction health report (layout drift detection)
+
+// Strategies that mean Rekrute's markup still matches what the extractors expect.
+// Anything else is a fallback: a field filled by fallbacks only, or left empty,
+// counts as a miss for the primary hit rate.
+export const PRIMARY_STRATEGIES = {
+    title: ['jsonLd', 'h1', 'listingCard'],
+    company: ['jsonLd', 'h1', 'listingCard'],
+    location: ['jsonLd', 'h1', 'listingCard'],
+    datePosted: ['jsonLd', 'frLabel', 'enLabel', 'listingCard'],
+    descriptionHtml: ['jsonLd', 'structuredBlocks', 'recruiterDescription'],
+    employmentType: ['jsonLd', 'li', 'listingCard'],
+    experience: ['featureLines', 'listingCard'],
+};
+
+// Below this many records a low hit rate is noise, not drift
+const MIN_RECORDS_FOR_WARNINGS = 10;
+
+const toRate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : 0);
+
+/**
+ * Collects the `_extraction` map of every saved record and builds the
+ * EXTRACTION_REPORT: fill rate per field, count per strategy, primary hit rates
+ * and a warning for each primary hit rate under `threshold` (0-1).
+ */
+export function createExtractionStats() {
+    const fieldCounts = {};
+    const primaryHits = {};
+    let records = 0;
+
+    return {
+        add(extraction = {}) {
+            records += 1;
+            for (const [field, source] of Object.entries(extraction)) {
+                if (!fieldCounts[field]) fieldCounts[field] = { filled: 0, strategies: {} };
+                if (!source) continue;
+                fieldCounts[field].filled += 1;
+                fieldCounts[field].strategies[source] = (fieldCounts[field].strategies[source] || 0) + 1;
+            }
+            for (const [field, primary] of Object.entries(PRIMARY_STRATEGIES)) {
+                if (primary.includes(extraction[field])) primaryHits[field] = (primaryHits[field] || 0) + 1;
+            }
+        },
+
+        buildReport({ threshold = 0.8 } = {}) {
+            const fields = {};
+            for (const [field, { filled, strategies }] of Object.entries(fieldCounts)) {
+                fields[field] = {
+                    filled,
+                    fillRate: toRate(filled, records),
+                    strategies,
+                };
+            }
+
+            const primaryHitRates = {};
+            const warnings = [];
+            for (const [field, primary] of Object.entries(PRIMARY_STRATEGIES)) {
+                // listing-only runs never fill detail-only fields
+                if (!fieldCounts[field]) continue;
+                const rate = toRate(primaryHits[field] || 0, records);
+                primaryHitRates[field] = rate;
+                if (records >= MIN_RECORDS_FOR_WARNINGS && rate < threshold) {
+                    warnings.push(
+                        `${field}: primary strategies (${primary.join(', ')}) filled ${(rate * 100).toFixed(1)}% `
+                        + `of ${records} records, below ${(threshold * 100).toFixed(0)}%. Rekrute markup may have changed.`,
+                    );
+                }
+            }
+
+            return {
+                createdAt: new Date().toISOString(),
+                records,
+                threshold,
+                fields,
+                primaryHitRates,
+                warnings,
+            };
+        },
+    };
+}
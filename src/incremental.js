@@ -0,0 +1,56 @@
+// Rekrute.com jobs scraper - cross-run fingerprints and expired offer detection
+
+import { createHash } from 'node:crypto';
+import { isDetailUrl } from './utils.js';
+
+/**
+ * Content fingerprints for incremental runs. Listing cards and detail pages
+ * carry different fields, so each gets its own hash.
+ */
+export function hashContent(fields) {
+    return createHash('sha1').update(JSON.stringify(fields)).digest('hex');
+}
+
+export function getCardFingerprint(card) {
+    return hashContent([card.title, card.company, card.location, card.datePosted, card.employmentType]);
+}
+
+export function getDetailFingerprint(job) {
+    return hashContent([
+        job.title,
+        job.company,
+        job.location,
+        job.datePosted,
+        job.employmentType,
+        job.salary,
+        job.descriptionText,
+    ]);
+}
+
+/**
+ * Why a previously scraped job URL no longer shows a live offer, or null if it does.
+ *   - 404 / 410 status
+ *   - redirect away from the offer (Rekrute sends removed offers back to offres.html)
+ *   - "offre expirée" notice on the page
+ */
+export function getExpiredReason({ statusCode, requestedUrl, loadedUrl, $ }) {
+    if (statusCode === 404 || statusCode === 410) return `status ${statusCode}`;
+
+    if (loadedUrl && loadedUrl !== requestedUrl && !isDetailUrl(loadedUrl)) {
+        try {
+            const path = new URL(loadedUrl).pathname;
+            if (/offres\.html$/i.test(path) || /^\/(?:en\/?|fr\/?)?$/i.test(path)) return 'redirected';
+        } catch {
+            // ignore
+        }
+    }
+
+    if ($) {
+        const text = $('body').text().replace(/\s+/g, ' ').toLowerCase();
+        if (/offre\s+(?:est\s+|a\s+)?expirée|offre n'est plus disponible|this (?:job )?offer (?:has )?expired|offer is no longer available/.test(text)) {
+            return 'expired notice';
+        }
+    }
+
+    return null;
+}
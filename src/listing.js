@@ -0,0 +1,279 @@
+// Rekrute.com jobs scraper - listing page extractors, pagination and start URLs
+
+import { getJobIdFromUrl, isDetailUrl, toAbs } from './utils.js';
+import { DATE_FILTERS, parsePostedDate, toIsoDate } from './dates.js';
+import { parseSalaryText } from './salary.js';
+import { extractJobAttributes, normalizeEmploymentType } from './detail.js';
+import { getCompanyInfo } from './company.js';
+
+export function findJobLinks($, baseUrl) {
+    const links = new Set();
+
+    // 1) Structural selectors
+    $('ul.job-list li.post-id a.titreJob, ul.job-list2 li.post-id a.titreJob, a.titreJob').each((_, el) => {
+        const href = $(el).attr('href');
+        if (!href) return;
+        const abs = toAbs(href, baseUrl);
+        if (!abs) return;
+        if (isDetailUrl(abs)) links.add(abs);
+    });
+
+    // 2) generic fallback if needed
+    if (links.size === 0) {
+        $('a[href]').each((_, el) => {
+            const href = $(el).attr('href');
+            if (!href) return;
+            const abs = toAbs(href, baseUrl);
+            if (!abs) return;
+            if (isDetailUrl(abs)) links.add(abs);
+        });
+    }
+
+    return [...links];
+}
+
+/**
+ * Raw end date of a listing card ("... au 11/05/2024").
+ */
+export function getListingCardEndDateText($card) {
+    const spanText = $card.find('em.date span').eq(1).text().trim();
+    if (spanText) return spanText;
+
+    const m = $card.text().match(/\b(?:au|to)\s+(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/i);
+    return m && m[1] ? m[1] : null;
+}
+
+/**
+ * Raw publication date text of a listing card.
+ * Cards read "Publication : du 12/03/2024 au 11/05/2024".
+ */
+export function getListingCardDateText($card) {
+    const spanText = $card.find('em.date span').first().text().trim();
+    if (spanText) return spanText;
+
+    const m = $card.text().match(/Publi(?:cation|ée|shed)\s*(?:le|on)?\s*:?\s*(?:du\s+|from\s+)?(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/i);
+    return m && m[1] ? m[1] : null;
+}
+
+/**
+ * Publication dates shown on listing cards, keyed by absolute job URL.
+ */
+export function findListingDates($, baseUrl) {
+    const dates = new Map();
+
+    $('ul.job-list li.post-id, ul.job-list2 li.post-id').each((_, el) => {
+        const $card = $(el);
+        const href = $card.find('a.titreJob').first().attr('href');
+        if (!href) return;
+        const abs = toAbs(href, baseUrl);
+        if (!abs) return;
+
+        const date = parsePostedDate(getListingCardDateText($card));
+        if (date) dates.set(abs, date);
+    });
+
+    return dates;
+}
+
+/**
+ * Listing card parser for listing-only mode (collectDetails = false).
+ * Card title link reads "Title | City (Maroc)"; company comes from the logo alt.
+ */
+export function parseListingCards($, baseUrl) {
+    const cards = [];
+
+    $('ul.job-list li.post-id, ul.job-list2 li.post-id').each((_, el) => {
+        const $card = $(el);
+        const $link = $card.find('a.titreJob').first();
+        const href = $link.attr('href');
+        if (!href) return;
+        const url = toAbs(href, baseUrl);
+        if (!url || !isDetailUrl(url)) return;
+
+        const linkText = $link.text().replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+        const [titlePart, ...locationParts] = linkText.split('|');
+        const title = titlePart?.trim() || null;
+        const location = locationParts.join('|').trim() || null;
+
+        const company =
+            $card.find('img.photo').first().attr('alt')?.trim() ||
+            $card.find('.company, .company-name, a.company').first().text().trim() ||
+            null;
+
+        let employmentType = null;
+        const contractLi = $card.find('li:contains("Type de contrat"), li:contains("Type of contract")').first();
+        if (contractLi.length) {
+            const text = contractLi.text().replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+            const m = text.match(/Type\s+(?:de\s+contrat|of\s+contract)(?:\s+proposé)?\s*[:\-]\s*([^-\|]+)/i);
+            if (m && m[1]) employmentType = m[1].trim() || null;
+        }
+
+        cards.push({
+            url,
+            jobId: getJobIdFromUrl(url) || $card.attr('id') || null,
+            title,
+            company,
+            datePosted: getListingCardDateText($card),
+            validThrough: getListingCardEndDateText($card),
+            employmentType,
+            location,
+            ...getCompanyInfo($, baseUrl, null, $card),
+            ...extractJobAttributes($, $card),
+        });
+    });
+
+    return cards;
+}
+
+/**
+ * Pagination: find next listing page.
+ *
+ * Rekrute patterns:
+ *   - <a href="...p=2..." class="next"></a>
+ *   - <select onchange="location = this.value;"> with option values = URLs
+ */
+export function findNextPage($, baseUrl) {
+    const tryHref = (sel) => {
+        const el = $(sel).first();
+        if (!el.length) return null;
+        const href = el.attr('href');
+        if (!href) return null;
+        return toAbs(href, baseUrl);
+    };
+
+    // 1) Explicit "next" link with class
+    let nextUrl = tryHref('.pagination a.next') || tryHref('a.next');
+    if (nextUrl) return nextUrl;
+
+    // 2) rel="next"
+    const relNextHref =
+        $('.pagination a[rel="next"]').attr('href') ||
+        $('a[rel="next"]').attr('href');
+    if (relNextHref) {
+        nextUrl = toAbs(relNextHref, baseUrl);
+        if (nextUrl) return nextUrl;
+    }
+
+    // 3) Text-based (Suivant / Next / › / »)
+    const nextTextHref = $('a')
+        .filter((_, el) => {
+            const txt = $(el).text().trim().toLowerCase();
+            return /(suivant|next|›|»)/.test(txt);
+        })
+        .first()
+        .attr('href');
+    if (nextTextHref) {
+        nextUrl = toAbs(nextTextHref, baseUrl);
+        if (nextUrl) return nextUrl;
+    }
+
+    // 4) SELECT-based pagination (onchange="location = this.value;")
+    const select = $('.pagination select').first();
+    if (select.length) {
+        const currentValue = select.val();
+        const options = select.find('option');
+        let foundCurrent = false;
+        let nextValue = null;
+
+        options.each((i, opt) => {
+            const val = $(opt).attr('value');
+            if (!foundCurrent) {
+                if (val === currentValue) {
+                    foundCurrent = true;
+                }
+                return;
+            }
+            // the very next option after current is our target
+            nextValue = val;
+            return false; // break
+        });
+
+        if (nextValue) {
+            nextUrl = toAbs(nextValue, baseUrl);
+            if (nextUrl) return nextUrl;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Search URL. `filters` are resolved filter options ({ param, value }, see filters.js)
+ * and replace the free-text location/category params.
+ */
+export function buildStartUrl({ keyword, location, category, dateFilter, lang, filters = [] }) {
+    let base;
+    if (lang === 'en') {
+        base = 'https://www.rekrute.com/en/offres.html';
+    } else {
+        base = 'https://www.rekrute.com/offres.html';
+    }
+
+    const u = new URL(base);
+    u.searchParams.set('clear', '1');
+
+    if (keyword) u.searchParams.set('keyword', String(keyword).trim());
+    if (location) u.searchParams.set('jobLocation', String(location).trim());
+    if (category) u.searchParams.set('category', String(category).trim());
+    for (const { param, value } of filters) u.searchParams.append(param, value);
+
+    const listingDate = DATE_FILTERS[dateFilter]?.listingParam;
+    if (listingDate) u.searchParams.set('publicationDate', listingDate);
+
+    return u.href;
+}
+
+// Record fields a listing card can fill, all reported with the "listingCard" strategy
+const CARD_EXTRACTION_FIELDS = [
+    'title', 'company', 'companyUrl', 'companyLogoUrl', 'datePosted', 'validThrough', 'employmentType',
+    'location', 'experience', 'educationLevel', 'sector', 'jobFunction', 'telework', 'positionsCount',
+];
+
+/**
+ * Listing card -> job record with the same fields as the detail extractor
+ * (fields only shown on detail pages are null).
+ */
+export function cardToRecord(card, { sourceUrl = null, language = null } = {}) {
+    const _extraction = {};
+    for (const field of CARD_EXTRACTION_FIELDS) {
+        _extraction[field] = card[field] === null || card[field] === undefined ? null : 'listingCard';
+    }
+
+    return {
+        url: card.url,
+        sourceUrl,
+        jobId: card.jobId,
+        title: card.title,
+        company: card.company,
+        companyId: card.companyId,
+        companyUrl: card.companyUrl,
+        companyLogoUrl: card.companyLogoUrl,
+        datePosted: card.datePosted,
+        datePostedIso: toIsoDate(parsePostedDate(card.datePosted)),
+        validThrough: card.validThrough,
+        validThroughIso: toIsoDate(parsePostedDate(card.validThrough)),
+        descriptionHtml: null,
+        descriptionText: null,
+        descriptionMarkdown: null,
+        descriptionSections: null,
+        employmentType: card.employmentType,
+        employmentTypeSource: card.employmentType ? 'li' : null,
+        ...normalizeEmploymentType(card.employmentType, null),
+        salary: null,
+        ...parseSalaryText(null),
+        location: card.location,
+        experience: card.experience,
+        experienceMinYears: card.experienceMinYears,
+        experienceMaxYears: card.experienceMaxYears,
+        educationLevel: card.educationLevel,
+        sector: card.sector,
+        jobFunction: card.jobFunction,
+        telework: card.telework,
+        positionsCount: card.positionsCount,
+        language,
+        rawJsonLd: null,
+        _extraction,
+        changeStatus: null,
+        scrapedAt: new Date().toISOString(),
+    };
+}
@@ -5,13 +5,46 @@ import { Actor, log } from 'apify';
 import {
     CheerioCrawler,
     Dataset,
+    RequestList,
     RequestQueue,
+    sleep,
 } from 'crawlee';
-import { load as cheerioLoad } from 'cheerio';
 import { HeaderGenerator } from 'header-generator';
-import { JSDOM } from 'jsdom';
+import { load as cheerioLoad } from 'cheerio';
 
-// ---------- Global config & helpers ----------
+import { getJobIdFromUrl, isDetailUrl, toPositiveInt } from './utils.js';
+import { getDateCutoff, parsePostedDate } from './dates.js';
+import { detectLanguage, extractJobDetail } from './detail.js';
+import {
+    cardToRecord,
+    findJobLinks,
+    findListingDates,
+    findNextPage,
+    parseListingCards,
+} from './listing.js';
+import { parseCompanyPage } from './company.js';
+import {
+    getCardFingerprint,
+    getDetailFingerprint,
+    getExpiredReason,
+} from './incremental.js';
+import { getSnapshotKey, openReplay } from './replay.js';
+import { createExtractionStats } from './health.js';
+import { createRunStats } from './summary.js';
+import { EXPIRED_FIELDS, JOB_FIELDS, SCHEMA_VERSION, validateRecord } from './schema.js';
+import { buildSearches, buildStartUrlSearches, searchesNeedFilters } from './searches.js';
+import { FILTER_PAGES, mergeFilterOptions, parseFilterOptions } from './filters.js';
+import { OUTPUT_FORMATS, buildExport } from './exporters.js';
+import { createWebhookSender } from './webhook.js';
+import { compileTerms, scoreRelevance } from './relevance.js';
+import { buildSkillsDictionary, createSkillsExtractor } from './skills.js';
+import {
+    getAlternateLanguageUrl,
+    getUrlLanguage,
+    mergeLanguageVersions,
+    parseLanguages,
+} from './bilingual.js';
+import { createBlockGuard, detectBlock, getBlockReason } from './blocking.js';
 
 const headerGenerator = new HeaderGenerator({
     browsers: ['chrome'],
@@ -20,935 +53,580 @@ const headerGenerator = new HeaderGenerator({
     locales: ['fr-FR', 'fr', 'en-US', 'en'],
 });
 
-// Counter to respect max items limit (only incremented on DETAIL pages)
-let scrapedCount = 0;
-
-// Counter for pagination pages visited
-let pagesVisited = 0;
+/**
+ * preNavigationHook: realistic browser headers on every request.
+ */
+async function applyBrowserHeaders({ request }) {
+    const headers = headerGenerator.getHeaders({
+        webBrowser: 'chrome',
+        device: 'desktop',
+        operatingSystem: 'windows',
+        httpVersion: '2',
+    });
 
-// We need a reference to the crawler to be able to abort it when maxItems reached
-let crawler;
+    headers['Accept-Language'] =
+        headers['Accept-Language'] ||
+        'fr-FR,fr;q=0.9,en-US;q=0.8,en;q=0.7';
+    headers['Referer'] = headers['Referer'] || 'https://www.rekrute.com/';
 
-function toPositiveInt(value, defaultValue, { min = 1, max = 100000 } = {}) {
-    const n = Number(value);
-    if (!Number.isFinite(n)) return defaultValue;
-    return Math.min(max, Math.max(min, Math.floor(n)));
+    request.headers = {
+        ...request.headers,
+        ...headers,
+    };
 }
 
-function toAbs(href, base) {
+// We need a reference to the crawler to be able to abort it when every search reached its maxItems
+let crawler;
+
+/**
+ * Stable, credential-free label for a proxy (used for per-proxy stats).
+ */
+function getProxyKey(proxyInfo) {
+    if (!proxyInfo?.url) return 'direct';
     try {
-        return new URL(href, base).href;
+        const u = new URL(proxyInfo.url);
+        const user = u.username ? `${decodeURIComponent(u.username)}@` : '';
+        return `${user}${u.host}`;
     } catch {
-        return null;
+        return 'unknown';
     }
 }
 
-function isBlocked($) {
-    const text = $('body').text().toLowerCase();
-    return /captcha|access denied|forbidden|blocked|unusual traffic/.test(text);
-}
-
-function cleanText(htmlOrText) {
-    if (!htmlOrText) return null;
-    const $ = cheerioLoad(`<div id="root">${htmlOrText}</div>`);
-    let text = $('#root').text();
-
-    if (!text) return null;
+// Rekrute's filter IDs rarely change, reuse them for a day
+const FILTER_OPTIONS_STORE = 'rekrute-filter-options';
+const FILTER_OPTIONS_TTL_MS = 24 * 60 * 60 * 1000;
 
-    text = text
-        .replace(/\r\n|\r/g, '\n')
-        .replace(/\u00a0/g, ' ')
-        .replace(/\s+\n/g, '\n')
-        .replace(/\n\s+/g, '\n')
-        .replace(/[ \t]{2,}/g, ' ')
-        .trim();
+// ---------- Main actor ----------
 
-    return text || null;
-}
+Actor.main(async () => {
+    const input = (await Actor.getInput()) || {};
 
-/**
- * JSON-LD JobPosting extraction.
- */
-function extractFromJsonLd($) {
-    const scripts = $('script[type="application/ld+json"]');
+    const {
+        startUrls = [],
+        dateFilter = 'any date',
+        collectDetails = true,
+        dedupe = true,
+        newJobsOnly = false,
+        stateStoreName = 'rekrute-seen-jobs',
+        checkExpired = false,
+        expiredDatasetName = '',
+        collectCompanies = false,
+        companiesDatasetName = 'rekrute-companies',
+        replayFrom = '',
+        recordHtml = false,
+        recordStoreName = 'rekrute-html-snapshots',
+        extractionAlertThreshold = 80,
+        outputFormats = [],
+        webhookUrl = '',
+        webhookHeaders = {},
+        webhookBatchSize = 50,
+        webhookSecret = '',
+        webhookStoreName = 'rekrute-webhook',
+        invalidDatasetName = 'rekrute-invalid-records',
+        includeKeywords = [],
+        excludeKeywords = [],
+        minRelevance = 1,
+        skillsDictionary = null,
+        languages: languagesInput = [],
+        maxConcurrency = 20,
+        maxRequestsPerMinute = 120,
+        maxConsecutiveBlocks = 6,
+        maxRequestsPerCrawl = 5000,
+    } = input;
 
-    for (let i = 0; i < scripts.length; i++) {
-        try {
-            const jsonText = $(scripts[i]).html() || '';
-            if (!jsonText.trim()) continue;
-
-            const parsed = JSON.parse(jsonText);
-            const nodes = [];
-            const addNode = (node) => {
-                if (!node) return;
-                if (Array.isArray(node)) {
-                    node.forEach(addNode);
-                } else if (node['@graph']) {
-                    addNode(node['@graph']);
-                } else {
-                    nodes.push(node);
-                }
-            };
-            addNode(parsed);
-
-            for (const e of nodes) {
-                const t = e['@type'] || e.type;
-                const types = Array.isArray(t) ? t : [t];
-                if (!types.includes('JobPosting')) continue;
-
-                const jobLoc = e.jobLocation || {};
-                const addr = jobLoc.address || {};
-
-                return {
-                    raw: e,
-                    title: e.title || e.name || null,
-                    company: e.hiringOrganization?.name || null,
-                    datePosted: e.datePosted || null,
-                    descriptionHtml: e.description || null,
-                    employmentType: e.employmentType || null,
-                    validThrough: e.validThrough || null,
-                    location:
-                        addr.addressLocality ||
-                        addr.addressRegion ||
-                        addr.addressCountry ||
-                        null,
-                    salary: e.baseSalary?.value?.value
-                        ? `${e.baseSalary.value.value} ${e.baseSalary.value.currency || ''}`.trim()
-                        : null,
-                };
-            }
-        } catch {
-            // ignore JSON errors
-        }
+    // Respect "max jobs" from various possible input fields - prioritize results_wanted
+    const rawLimit =
+        input.results_wanted ??
+        input.maxItems ??
+        input.maxJobs ??
+        input.maxResults ??
+        input.limit ??
+        0;
+    const maxItems = toPositiveInt(rawLimit, 0, { min: 0, max: 100000 }); // 0 = unlimited
+    if (maxItems > 0) {
+        log.info(`Max items requested: ${maxItems}`);
+    } else {
+        log.info('No max items limit set (will crawl all available jobs within other limits).');
     }
 
-    return null;
-}
-
-/**
- * Parse title + company + possible location from headings.
- */
-function parseTitleCompanyLocation($) {
-    const h1 = $('h1').first().text().trim();
-    let title = null;
-    let company = null;
-    let location = null;
-
-    if (h1) {
-        const parts = h1.split(/\s[-–|]\s/);
-        if (parts.length >= 1) title = parts[0]?.trim() || null;
-        if (parts.length >= 2) company = parts[1]?.trim() || null;
-        if (parts.length >= 3) location = parts[2]?.trim() || null;
+    // Respect max_pages limit
+    const maxPages = toPositiveInt(input.max_pages, 0, { min: 0, max: 1000 }); // 0 = unlimited
+    if (maxPages > 0) {
+        log.info(`Max pages limit: ${maxPages}`);
+    } else {
+        log.info('No max pages limit set.');
     }
 
-    if (!company) {
-        const companySel =
-            '.company, .company-name, .societe, .society, a.company, a.company-name';
-        company = $(companySel).first().text().trim() || null;
+    // Respect dateFilter (publication date cutoff)
+    const dateCutoff = getDateCutoff(dateFilter);
+    if (dateCutoff) {
+        log.info(`Date filter "${dateFilter}": only jobs published since ${dateCutoff.toISOString().slice(0, 10)}`);
     }
 
-    if (!location) {
-        const microLoc = $('[itemprop="jobLocation"] [itemprop="addressLocality"], [itemprop="addressLocality"]').first().text().trim();
-        if (microLoc) location = microLoc;
+    // Extra files written to the key-value store when the run ends
+    const exportFormats = [...new Set((Array.isArray(outputFormats) ? outputFormats : [outputFormats]).filter(Boolean))];
+    const unknownFormats = exportFormats.filter((format) => !OUTPUT_FORMATS[format]);
+    if (unknownFormats.length) {
+        throw new Error(
+            `Unknown outputFormats: ${unknownFormats.join(', ')}. Valid values: ${Object.keys(OUTPUT_FORMATS).join(', ')}.`,
+        );
     }
 
-    if (!location) {
-        const locLabel = $('p:contains("Poste basé à"), p:contains("Localisation"), p:contains("Location")')
-            .first()
-            .text();
-        if (locLabel) {
-            const m = locLabel.match(/(?:basé à|Localisation|Location)\s*[:\-]?\s*(.*)/i);
-            if (m && m[1]) location = m[1].trim();
-        }
+    // Relevance: include/exclude terms on title + description, on top of Rekrute's loose keyword search
+    const relevanceTerms = { include: compileTerms(includeKeywords), exclude: compileTerms(excludeKeywords) };
+    const useRelevance = relevanceTerms.include.length > 0 || relevanceTerms.exclude.length > 0;
+    const minRelevanceScore = toPositiveInt(minRelevance, 1, { min: 0, max: 1000 });
+    if (useRelevance) {
+        log.info(
+            `Relevance filter: include [${relevanceTerms.include.map((t) => t.term).join(', ')}], `
+            + `exclude [${relevanceTerms.exclude.map((t) => t.term).join(', ')}]`
+            + `${relevanceTerms.include.length ? `, min score ${minRelevanceScore}` : ''}`,
+        );
     }
 
-    return { title, company, location };
-}
+    /**
+     * { relevanceScore, matchedKeywords } of a job (nulls without include/exclude terms),
+     * and whether it is relevant enough to save. Not relevant = an exclude term matched,
+     * or include terms are set and the score is under minRelevance.
+     */
+    const getRelevance = (job) => {
+        if (!useRelevance) return { relevance: { relevanceScore: null, matchedKeywords: null }, relevant: true };
+        const relevance = scoreRelevance(job, relevanceTerms);
+        const relevant = !relevance.matchedKeywords.excluded.length
+            && (!relevanceTerms.include.length || relevance.relevanceScore >= minRelevanceScore);
+        return { relevance, relevant };
+    };
 
-/**
- * Sanitizer: remove scripts/styles/forms/nav/sidebar/footer etc.
- * Then pick densest block.
- */
-function sanitizeDescriptionHtml(html) {
-    if (!html) return null;
-
-    const $ = cheerioLoad(`<div id="root">${html}</div>`);
-
-    // Remove noise
-    $('#root script, #root style, #root link, #root noscript, #root form').remove();
-    $('#root header, #root nav, #root footer').remove();
-
-    const blacklistSelectors = [
-        '#fortopscroll',
-        '.wrapper',
-        '.preloader',
-        '#sidebar',
-        '#rk-articles',
-        '#rk-filter-panel',
-        '.pagination',
-        '.subbar',
-        '.footer',
-        'footer',
-        '#rk-auth-scope',
-        '.modal',
-        '.navbar-burger',
-    ];
-    for (const sel of blacklistSelectors) {
-        $(sel).remove();
-    }
+    // Skill tags and required languages from descriptions; skillsDictionary extends the built-in one
+    const extractSkills = createSkillsExtractor(buildSkillsDictionary(skillsDictionary));
+    if (skillsDictionary) log.info(`Custom skills dictionary: ${Object.keys(skillsDictionary).length} entries.`);
 
-    // Flatten single-child wrappers
-    let changed = true;
-    while (changed) {
-        changed = false;
-        $('#root > div, #root > section, #root > article').each((_, el) => {
-            const $el = $(el);
-            const children = $el.children('div, section, article');
-            const textLen = $el.text().replace(/\s+/g, ' ').trim().length;
-            if (children.length === 1 && textLen === children.text().replace(/\s+/g, ' ').trim().length) {
-                $('#root').append(children);
-                $el.remove();
-                changed = true;
-            }
-        });
+    // Languages: the first one is the listing language; with both, every job is saved with its FR and EN versions
+    const languages = parseLanguages(languagesInput);
+    const pairLanguages = languages.length > 1;
+    if (pairLanguages) {
+        log.info(`Bilingual mode: listing in "${languages[0]}", fetching the ${languages.slice(1).join('/')} version of each job.`);
+        if (!collectDetails) log.warning('Bilingual mode needs collectDetails: listing-only jobs are saved in one language.');
     }
 
-    // densest block in root
-    let best = null;
-    let bestLen = 0;
-
-    $('#root')
-        .find('article, section, div, main')
-        .each((_, el) => {
-            const $el = $(el);
-            const classId = (($el.attr('class') || '') + ' ' + ($el.attr('id') || '')).toLowerCase();
-            if (/footer|nav|menu|breadcrumb|sidebar|filter|pagination/.test(classId)) return;
-
-            const text = $el.text().replace(/\s+/g, ' ').trim();
-            const len = text.length;
-            if (len > bestLen) {
-                bestLen = len;
-                best = el;
-            }
+    // Webhook: saved jobs are also POSTed in signed batches; undelivered batches wait in webhookStoreName
+    let webhook = null;
+    if (webhookUrl) {
+        if (!/^https?:\/\//i.test(webhookUrl)) throw new Error(`webhookUrl must be an http(s) URL, got "${webhookUrl}"`);
+        webhook = createWebhookSender({
+            url: webhookUrl,
+            headers: webhookHeaders && typeof webhookHeaders === 'object' ? webhookHeaders : {},
+            batchSize: toPositiveInt(webhookBatchSize, 50, { min: 1, max: 1000 }),
+            secret: webhookSecret,
+            store: await Actor.openKeyValueStore(webhookStoreName),
         });
-
-    let finalHtml;
-    if (best && bestLen > 80) {
-        const $wrap = cheerioLoad('<div></div>');
-        $wrap('div').append(cheerioLoad(best).html() || '');
-        finalHtml = $wrap('div').html();
-    } else {
-        finalHtml = $('#root').html();
+        const pending = await webhook.redeliver();
+        if (pending) log.info(`Webhook: redelivered ${webhook.stats.redelivered} of ${pending} batches left from earlier runs.`);
     }
 
-    finalHtml = (finalHtml || '').trim();
-    return finalHtml || null;
-}
-
-/**
- * FINAL step for description_html:
- *  - keep only "text-related" tags
- *  - drop layout tags & attributes (only keep href on <a>).
- */
-function simplifyHtmlContent(html) {
-    if (!html) return null;
-
-    const allowedTags = new Set([
-        'p', 'br',
-        'ul', 'ol', 'li',
-        'strong', 'b', 'em', 'i', 'u',
-        'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-        'a',
-    ]);
-
-    const $ = cheerioLoad(`<div id="root">${html}</div>`);
-
-    // unwrap disallowed tags (div, section, span, etc.)
-    $('#root *').each((_, el) => {
-        const $el = $(el);
-        const tag = el.tagName ? el.tagName.toLowerCase() : '';
-
-        if (!allowedTags.has(tag)) {
-            const text = $el.text().trim();
-            const hasPChild = $el.find('p').length > 0;
-
-            if (text && !hasPChild && (tag === 'div' || tag === 'section' || tag === 'article')) {
-                const newHtml = `<p>${text}</p>`;
-                $el.replaceWith(newHtml);
-            } else {
-                $el.replaceWith($el.html() || '');
-            }
-        }
-    });
-
-    // Clean attributes & remove empty paragraphs/list items
-    $('#root *').each((_, el) => {
-        const $el = $(el);
-        const tag = el.tagName ? el.tagName.toLowerCase() : '';
-        const attrs = el.attribs || {};
-
-        Object.keys(attrs).forEach((attr) => {
-            $el.removeAttr(attr);
-        });
-
-        if (tag === 'a' && attrs.href) {
-            $el.attr('href', attrs.href);
-        }
-
-        if ((tag === 'p' || tag === 'li') && $el.text().replace(/\u00a0/g, ' ').trim().length === 0) {
-            $el.remove();
-        }
-    });
-
-    const result = $('#root').html() || '';
-    const trimmed = result.trim();
-    return trimmed || null;
-}
-
-/**
- * Job description extraction.
- * PRIORITY:
- *  1) structured description in `.contentbloc > .col-md-12.blc` (h2, p, ul)
- *  2) #recruiterDescription as a whole
- *  3) old heuristic fallbacks
- */
-function getDescriptionHtml($) {
-    let html = '';
-
-    // 1) Preferred: inside recruiterDescription -> .contentbloc > .col-md-12.blc > h2/p/ul
-    let container = $('#recruiterDescription');
-    if (!container.length) {
-        container = $('.contentbloc');
+    if (!collectDetails) {
+        log.info('collectDetails disabled: jobs will be saved from listing cards without opening detail pages.');
     }
 
-    if (container.length) {
-        const blocks = container.find('> .col-md-12.blc');
-        if (blocks.length) {
-            const sections = [];
-            blocks.each((_, block) => {
-                const $block = $(block);
-                const parts = [];
-
-                $block.children('h2, p, ul').each((__, child) => {
-                    const $child = $(child);
-                    const tag = child.tagName ? child.tagName.toLowerCase() : '';
-                    if (!tag) return;
-                    const innerHtml = $child.html() || '';
-                    if (!innerHtml.trim()) return;
-                    parts.push(`<${tag}>${innerHtml}</${tag}>`);
-                });
-
-                if (parts.length) {
-                    sections.push(`<div class="job-section">${parts.join('\n')}</div>`);
-                }
-            });
-
-            if (sections.length) {
-                html = sections.join('\n');
-            }
+    // Jobs saved in this run, across all searches
+    let scrapedCount = 0;
+
+    // Which extraction strategy filled each field, summarized in EXTRACTION_REPORT
+    const extractionStats = createExtractionStats();
+    const runStats = createRunStats();
+
+    /**
+     * The record with its schemaVersion, or null when it doesn't match the record schema
+     * (src/schema.js, `fields` of jobs by default): then it goes to the invalid records dataset
+     * with the errors, so a shape change never reaches the results silently. Runs before a
+     * result slot is taken.
+     */
+    const toValidRecord = async (job, fields = JOB_FIELDS) => {
+        const record = { schemaVersion: SCHEMA_VERSION, ...job };
+        const errors = validateRecord(record, fields);
+        if (errors.length) {
+            runStats.jobInvalid();
+            log.warning(`Invalid record for ${record.url}, saved to dataset "${invalidDatasetName}": ${errors.join('; ')}`);
+            const invalidDataset = await Actor.openDataset(invalidDatasetName);
+            await invalidDataset.pushData({ schemaVersion: SCHEMA_VERSION, url: record.url, errors, record });
+            return null;
         }
-    }
-
-    // 2) If nothing from structured blocks, use recruiterDescription raw
-    if (!html) {
-        const recruiterDescRaw = $('#recruiterDescription').first();
-        if (recruiterDescRaw.length) {
-            html = recruiterDescRaw.html() || '';
-        }
-    }
+        return record;
+    };
 
-    // 3) Older fallbacks (in case layout differs on some pages)
-    if (!html) {
-        const frPoste = $('h2:contains("Poste :"), h2:contains("Poste")')
-            .first()
-            .nextUntil('h2')
-            .html();
-        const frProfil = $('h2:contains("Profil recherché :"), h2:contains("Profil recherché")')
-            .first()
-            .nextUntil('h2')
-            .html();
-        const enPoste = $('h2:contains("Job Description"), h2:contains("Position"), h2:contains("Role")')
-            .first()
-            .nextUntil('h2')
-            .html();
-        const enProfil = $('h2:contains("Profile"), h2:contains("Requirements"), h2:contains("Responsibilities")')
-            .first()
-            .nextUntil('h2')
-            .html();
-
-        if (frPoste) html += frPoste;
-        if (frProfil) html += frProfil;
-        if (enPoste) html += enPoste;
-        if (enProfil) html += enProfil;
-    }
+    const saveJob = async (record) => {
+        await Dataset.pushData(record);
+        webhook?.add(record);
+        runStats.jobPushed(record);
+    };
 
-    // 4) generic detail containers
-    if (!html) {
-        const jobSelectors = [
-            '#job_desc',
-            '#job-detail',
-            '.job-description',
-            '.job-desc',
-            '.job-detail',
-            '.jobdetail',
-            '.job-content',
-            '.job-body',
-            '.jobbody',
-            '.jobdescription',
-            '[itemprop="description"]',
-        ];
-
-        for (const sel of jobSelectors) {
-            const el = $(sel).first();
-            if (!el.length) continue;
-            const textLen = el.text().replace(/\s+/g, ' ').trim().length;
-            if (textLen > 80) {
-                html = el.html() || '';
-                break;
-            }
-        }
-    }
+    // In-run dedupe: jobIds (or URLs when no id) already pushed
+    const pushedJobKeys = new Set();
 
-    // 5) fallback: central column densest block
-    if (!html) {
-        const centerSelectors = [
-            '.content-column',
-            '.col-md-9',
-            '#job',
-            '#job-info',
-        ];
-        let root = null;
-        for (const sel of centerSelectors) {
-            const el = $(sel).first();
-            if (el.length) {
-                root = el;
-                break;
-            }
-        }
-        if (root) {
-            let bestHtml = null;
-            let bestLen = 0;
-            root.find('div, section, article').each((_, el) => {
-                const $el = $(el);
-                const classId = (($el.attr('class') || '') + ' ' + ($el.attr('id') || '')).toLowerCase();
-                if (/sidebar|filter|pagination|breadcrumb|footer/.test(classId)) return;
-                const textLen = $el.text().replace(/\s+/g, ' ').trim().length;
-                if (textLen > bestLen) {
-                    bestLen = textLen;
-                    bestHtml = $el.html() || '';
-                }
-            });
-            if (bestHtml && bestLen > 80) html = bestHtml;
-        }
+    // Cross-run job index: jobId -> { url, cardHash, detailHash, firstSeenAt, lastSeenAt, expiredAt }
+    // Used by newJobsOnly (fingerprints) and checkExpired (URLs to re-check)
+    const runStartedAt = new Date().toISOString();
+    const seenStore = newJobsOnly || checkExpired ? await Actor.openKeyValueStore(stateStoreName) : null;
+    const seenJobs = (await seenStore?.getValue('SEEN_JOBS')) || {};
+    if (newJobsOnly) {
+        log.info(`New jobs only: ${Object.keys(seenJobs).length} jobs known from previous runs (store "${stateStoreName}")`);
     }
 
-    if (!html) return null;
-
-    try {
-        const dom = new JSDOM(`<div id="root">${html}</div>`);
-        const root = dom.window.document.getElementById('root');
-        const raw = root.innerHTML || html;
-        return sanitizeDescriptionHtml(raw);
-    } catch {
-        return sanitizeDescriptionHtml(html);
-    }
-}
+    const classifyJob = (jobId, hashField, hash) => {
+        const prev = seenJobs[jobId];
+        if (!prev) return 'new';
+        return prev[hashField] === hash ? 'unchanged' : 'updated';
+    };
 
-/**
- * Date posted.
- */
-function getDatePosted($) {
-    const frText = $('p:contains("Publiée"), span:contains("Publiée")').first().text();
-    if (frText) {
-        const m = frText.match(/Publiée\s+(?:le\s+)?(.*)/i);
-        if (m && m[1]) return m[1].trim();
-    }
+    const rememberJob = (jobId, fields) => {
+        const now = new Date().toISOString();
+        const prev = { ...(seenJobs[jobId] || { firstSeenAt: now }) };
+        // seen alive again: no longer expired
+        delete prev.expiredAt;
+        delete prev.expiredReason;
+        seenJobs[jobId] = { ...prev, ...fields, lastSeenAt: now };
+    };
 
-    const enText = $('p:contains("Published"), p:contains("Posted"), span:contains("Published"), span:contains("Posted")')
-        .first()
-        .text();
-    if (enText) {
-        const m = enText.match(/(?:Published|Posted)\s+(?:on\s+)?(.*)/i);
-        if (m && m[1]) return m[1].trim();
-    }
+    const saveSeenJobs = async () => {
+        if (seenStore) await seenStore.setValue('SEEN_JOBS', seenJobs);
+    };
+    if (seenStore) Actor.on('persistState', saveSeenJobs);
 
-    const bodyText = $('body').text();
-    const dateMatch = bodyText.match(/(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/);
-    if (dateMatch && dateMatch[1]) {
-        return dateMatch[1];
+    // Replay: pages are fetched from a snapshot directory or a local mock server, never from rekrute.com
+    const replay = replayFrom ? await openReplay(replayFrom) : null;
+    if (replay) {
+        log.info(`Replay mode: serving pages from ${replayFrom} (${replay.baseUrl}), proxy disabled.`);
     }
 
-    return null;
-}
-
-/**
- * Extract extra meta from the header column:
- *   .col-md-10.col-sm-12.col-xs-12
- */
-function extractHeaderInfo($) {
-    const header = $('.col-md-10.col-sm-12.col-xs-12').first();
-    if (!header.length) return {};
-
-    const text = header
-        .text()
-        .replace(/\u00a0/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-    if (!text) return {};
-
-    let employmentType = null;
-    let salary = null;
-    let location = null;
-
-    // Employment type patterns (French & English)
-    const typePatterns = [
-        /Type\s+de\s+contrat(?:\s+proposé)?\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-        /Type\s+of\s+contract(?:\s+proposé)?\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-        /Contrat\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-    ];
-    for (const re of typePatterns) {
-        const m = text.match(re);
-        if (m && m[1]) {
-            employmentType = m[1].trim();
-            break;
-        }
-    }
+    // Blocks (status codes, empty responses, challenge pages, listings without a job list) lower the
+    // concurrency and pause every request with an exponential backoff; too many in a row end the run
+    const concurrencyLimit = toPositiveInt(maxConcurrency, 20, { min: 1, max: 1000 });
+    const requestsPerMinute = toPositiveInt(maxRequestsPerMinute, 120, { min: 1, max: 10000 });
+    const blockLimit = toPositiveInt(maxConsecutiveBlocks, 6, { min: 1, max: 100 });
+    const blockGuard = createBlockGuard({ maxConcurrency: concurrencyLimit, maxConsecutiveBlocks: blockLimit });
+    let blockedReason = null;
+
+    /**
+     * preNavigationHook: hold the request while a block cooldown runs.
+     */
+    const waitForCooldown = async () => {
+        const ms = blockGuard.getCooldownMs();
+        if (ms > 0) await sleep(ms);
+    };
 
-    // Salary patterns
-    const salaryPatterns = [
-        /Salaire\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-        /Rémunération\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-        /Salary\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-    ];
-    for (const re of salaryPatterns) {
-        const m = text.match(re);
-        if (m && m[1]) {
-            salary = m[1].trim();
-            break;
-        }
-    }
+    const preNavigationHooks = replay
+        ? [waitForCooldown, applyBrowserHeaders, replay.preNavigationHook]
+        : [waitForCooldown, applyBrowserHeaders];
+
+    // Record: raw HTML of every fetched page, keyed like the snapshot files replay reads
+    const snapshotStore = recordHtml ? await Actor.openKeyValueStore(recordStoreName) : null;
+    if (snapshotStore) log.info(`Recording fetched pages to key-value store "${recordStoreName}".`);
+    const recordSnapshot = async ({ request, body }) => {
+        if (!snapshotStore || !body) return;
+        await snapshotStore.setValue(getSnapshotKey(request.url), body.toString(), {
+            contentType: 'text/html; charset=utf-8',
+        });
+    };
 
-    // Location (optional)
-    const locPatterns = [
-        /Lieu\s+de\s+travail\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-        /Localisation\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-        /Location\s*[:\-]?\s*([^•|\n]+?)(?:\s*(?:\||•|$))/i,
-    ];
-    for (const re of locPatterns) {
-        const m = text.match(re);
-        if (m && m[1]) {
-            location = m[1].trim();
-            break;
+    /**
+     * Detail record of the same offer in `lang`, fetched inline (same session and proxy)
+     * so the job is saved once with both versions. Null when there is no such version:
+     * no alternate URL, an error status, or a redirect away from the offer.
+     */
+    const fetchLanguageVersion = async ({ $, url, lang, sendRequest, sourceUrl }) => {
+        const altUrl = getAlternateLanguageUrl($, url, lang);
+        if (!altUrl) return null;
+        let response;
+        try {
+            response = await sendRequest({
+                url: replay ? replay.toReplayUrl(altUrl) : altUrl,
+                throwHttpErrors: false,
+            });
+        } catch (err) {
+            log.warning(`Could not fetch the ${lang} version of ${url}: ${err.message}`);
+            return null;
         }
-    }
-
-    return { employmentType, salary, location };
-}
-
-/**
- * Employment type:
- *  1) JSON-LD
- *  2) dedicated <li> "Type de contrat ..."/"Type of contract ..."
- *  3) headerMeta
- *  4) heuristics in body text
- */
-function getEmploymentType($, jsonLd, descriptionText, headerMeta = {}) {
-    if (jsonLd?.employmentType) return jsonLd.employmentType;
-
-    // 2) <li> based extraction
-    const li = $('li:contains("Type de contrat"), li:contains("Type of contract")').first();
-    if (li.length) {
-        const text = li
-            .text()
-            .replace(/\u00a0/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        if (text) {
-            const m =
-                text.match(/Type\s+de\s+contrat(?:\s+proposé)?\s*[:\-]\s*([^-\|]+)/i) ||
-                text.match(/Type\s+of\s+contract(?:\s+proposé)?\s*[:\-]\s*([^-\|]+)/i);
-            if (m && m[1]) {
-                const parsed = m[1].trim();
-                if (parsed) return parsed;
+        runStats.status(response.statusCode);
+        // Same session as the job page: a block here means the whole request has to be retried
+        const blockReason = detectBlock({ statusCode: response.statusCode, body: response.body });
+        if (blockReason) throw new Error(`Blocked by target site (${blockReason})`);
+        try {
+            const loadedUrl = replay ? altUrl : response.url;
+            if (response.statusCode >= 400 || getJobIdFromUrl(loadedUrl) !== getJobIdFromUrl(url)) {
+                const why = response.statusCode >= 400 ? `status ${response.statusCode}` : `redirected to ${loadedUrl}`;
+                log.info(`No ${lang} version of ${url} (${altUrl}: ${why})`);
+                return null;
             }
+            await recordSnapshot({ request: { url: altUrl }, body: response.body });
+            runStats.page('detail');
+            return runStats.timeParse('detail', () => extractJobDetail(cheerioLoad(response.body), altUrl, { sourceUrl }));
+        } catch (err) {
+            log.warning(`Could not fetch the ${lang} version of ${url}: ${err.message}`);
+            return null;
         }
-    }
-
-    // 3) header meta
-    if (headerMeta.employmentType) return headerMeta.employmentType;
-
-    // 4) heuristics
-    const text = (descriptionText || $('body').text() || '').toLowerCase();
-
-    if (/cdi\b/.test(text)) return 'CDI';
-    if (/cdd\b/.test(text)) return 'CDD';
-    if (/full[-\s]?time|temps plein/.test(text)) return 'FULL_TIME';
-    if (/part[-\s]?time|temps partiel/.test(text)) return 'PART_TIME';
-    if (/stage|internship/.test(text)) return 'INTERNSHIP';
-    if (/freelance|indépendant|independent contractor/.test(text)) return 'CONTRACTOR';
-
-    return null;
-}
-
-/**
- * Salary: prefer JSON-LD, then header info, then <li> with "Salaire"/"Salary",
- * then body heuristics.
- */
-function getSalary($, jsonLd, descriptionText, headerMeta = {}) {
-    if (jsonLd?.salary) return jsonLd.salary;
-    if (headerMeta.salary) return headerMeta.salary;
-
-    const li = $('li:contains("Salaire"), li:contains("Rémunération"), li:contains("Salary")').first();
-    if (li.length) {
-        const t = li
-            .text()
-            .replace(/\u00a0/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        if (t) {
-            const m =
-                t.match(/Salaire\s*[:\-]\s*(.*)/i) ||
-                t.match(/Rémunération\s*[:\-]\s*(.*)/i) ||
-                t.match(/Salary\s*[:\-]\s*(.*)/i);
-            if (m && m[1]) return m[1].trim();
-        }
-    }
-
-    const text = (descriptionText || $('body').text() || '');
-
-    const regexes = [
-        /(\d[\d\s\.]{2,})\s*(MAD|DH|DHS|€|EUR)/i,
-        /(salaire|rémunération)\s*[:\-]?\s*([^\n]+)/i,
-    ];
+    };
 
-    for (const re of regexes) {
-        const m = text.match(re);
-        if (m) {
-            if (m[1] && m[2]) return `${m[1].trim()} ${m[2].trim()}`;
-            if (m[2]) return m[2].trim();
-            if (m[1]) return m[1].trim();
-        }
+    // Proxy: every session gets its own proxy URL, so retiring a session rotates the exit IP
+    const proxyConfiguration = input.proxyConfiguration && !replay
+        ? await Actor.createProxyConfiguration(input.proxyConfiguration)
+        : undefined;
+    if (proxyConfiguration) {
+        log.info('Proxy configuration enabled.');
+    } else {
+        log.info('No proxy configuration, requests go out directly.');
     }
 
-    return null;
-}
-
-/**
- * Infer language.
- */
-function detectLanguage($, url) {
-    const htmlLang =
-        $('html').attr('lang') ||
-        $('html').attr('xml:lang') ||
-        $('meta[http-equiv="content-language"]').attr('content') ||
-        '';
-
-    const langLower = htmlLang.toLowerCase();
-
-    if (langLower.startsWith('fr')) return 'fr';
-    if (langLower.startsWith('en')) return 'en';
-
-    if (/\/en\//i.test(url)) return 'en';
-    if (/rekrute\.com\/(fr|offres)/i.test(url)) return 'fr';
-
-    const bodyText = $('body').text().toLowerCase();
-    const frHits = (bodyText.match(/\boffre d'emploi|poste|profil recherché|contrat|mission\b/g) || []).length;
-    const enHits = (bodyText.match(/\bjob|position|requirements|responsibilities|full-time|part-time\b/g) || []).length;
-
-    if (frHits > enHits) return 'fr';
-    if (enHits > frHits) return 'en';
+    // Per-proxy request/block counters, logged at the end of the run
+    const proxyStats = new Map();
+    const getProxyStats = (proxyInfo) => {
+        const key = getProxyKey(proxyInfo);
+        if (!proxyStats.has(key)) proxyStats.set(key, { requests: 0, blocked: 0 });
+        return proxyStats.get(key);
+    };
 
-    return null;
-}
+    const setConcurrency = (pool, concurrency) => {
+        if (!pool || pool.maxConcurrency === concurrency) return;
+        pool.maxConcurrency = concurrency;
+        pool.desiredConcurrency = Math.min(pool.desiredConcurrency, concurrency);
+    };
 
-/**
- * Strict job-detail URL recognition.
- */
-function isDetailUrl(url) {
-    try {
-        const u = new URL(url);
-        const path = u.pathname || '';
-        return (
-            /\/offre-emploi[^/]*-\d+\.html$/i.test(path) ||
-            /\/job-offer[^/]*-\d+\.html$/i.test(path)
+    /**
+     * errorHandler of every crawler: a block lowers the concurrency and starts a cooldown.
+     * Once blocks keep coming the crawl is stopped instead of retrying into more blocks.
+     */
+    const handleRequestError = async ({ request, proxyInfo, crawler: activeCrawler }, error) => {
+        runStats.retry();
+        const reason = getBlockReason(error);
+        if (!reason) return;
+
+        getProxyStats(proxyInfo).blocked += 1;
+        const { concurrency, delayMs, gaveUp } = blockGuard.onBlock(reason);
+        setConcurrency(activeCrawler.autoscaledPool, concurrency);
+        log.warning(
+            `Blocked (${reason}) at ${request.url} (proxy: ${getProxyKey(proxyInfo)})`
+            + `${delayMs ? `, pausing ${delayMs / 1000}s and lowering concurrency to ${concurrency}` : ''}`,
         );
-    } catch {
-        return false;
-    }
-}
-
-function findJobLinks($, baseUrl) {
-    const links = new Set();
-
-    // 1) Structural selectors
-    $('ul.job-list li.post-id a.titreJob, ul.job-list2 li.post-id a.titreJob, a.titreJob').each((_, el) => {
-        const href = $(el).attr('href');
-        if (!href) return;
-        const abs = toAbs(href, baseUrl);
-        if (!abs) return;
-        if (isDetailUrl(abs)) links.add(abs);
-    });
-
-    // 2) generic fallback if needed
-    if (links.size === 0) {
-        $('a[href]').each((_, el) => {
-            const href = $(el).attr('href');
-            if (!href) return;
-            const abs = toAbs(href, baseUrl);
-            if (!abs) return;
-            if (isDetailUrl(abs)) links.add(abs);
-        });
-    }
-
-    return [...links];
-}
 
-/**
- * Pagination: find next listing page.
- *
- * Rekrute patterns:
- *   - <a href="...p=2..." class="next"></a>
- *   - <select onchange="location = this.value;"> with option values = URLs
- */
-function findNextPage($, baseUrl) {
-    const tryHref = (sel) => {
-        const el = $(sel).first();
-        if (!el.length) return null;
-        const href = el.attr('href');
-        if (!href) return null;
-        return toAbs(href, baseUrl);
+        if (gaveUp) {
+            request.noRetry = true;
+            if (!blockedReason) {
+                blockedReason = `${blockLimit} blocks in a row, last one: ${reason}`;
+                log.error(`Rekrute keeps blocking requests (${blockedReason}), stopping the crawl.`);
+            }
+            await activeCrawler.autoscaledPool?.abort();
+        }
     };
 
-    // 1) Explicit "next" link with class
-    let nextUrl = tryHref('.pagination a.next') || tryHref('a.next');
-    if (nextUrl) return nextUrl;
-
-    // 2) rel="next"
-    const relNextHref =
-        $('.pagination a[rel="next"]').attr('href') ||
-        $('a[rel="next"]').attr('href');
-    if (relNextHref) {
-        nextUrl = toAbs(relNextHref, baseUrl);
-        if (nextUrl) return nextUrl;
-    }
+    /**
+     * statusMessageCallback of every crawler: our counters instead of Crawlee's request counts,
+     * refreshed every 10 seconds.
+     */
+    const updateStatusMessage = async ({ crawler: activeCrawler }) => {
+        await activeCrawler.setStatusMessage(runStats.getStatusMessage({
+            blocks: blockGuard.stats.blocks,
+            concurrency: activeCrawler.autoscaledPool?.desiredConcurrency,
+        }));
+    };
 
-    // 3) Text-based (Suivant / Next / › / »)
-    const nextTextHref = $('a')
-        .filter((_, el) => {
-            const txt = $(el).text().trim().toLowerCase();
-            return /(suivant|next|›|»)/.test(txt);
-        })
-        .first()
-        .attr('href');
-    if (nextTextHref) {
-        nextUrl = toAbs(nextTextHref, baseUrl);
-        if (nextUrl) return nextUrl;
-    }
+    // Company pages found during the crawl: companyUrl -> companyId (crawled after the jobs)
+    const companyPages = new Map();
+    const trackCompany = ({ companyId, companyUrl }) => {
+        if (collectCompanies && companyUrl && !companyPages.has(companyUrl)) companyPages.set(companyUrl, companyId);
+    };
 
-    // 4) SELECT-based pagination (onchange="location = this.value;")
-    const select = $('.pagination select').first();
-    if (select.length) {
-        const currentValue = select.val();
-        const options = select.find('option');
-        let foundCurrent = false;
-        let nextValue = null;
-
-        options.each((i, opt) => {
-            const val = $(opt).attr('value');
-            if (!foundCurrent) {
-                if (val === currentValue) {
-                    foundCurrent = true;
+    /**
+     * Follow-up crawl over a fixed list of requests (expiry checks, company pages),
+     * run after the job crawl so its maxItems/maxPages aborts can't cut them off.
+     */
+    const runFollowUpCrawl = async (requests, requestHandler, failedRequestHandler) => {
+        const requestList = await RequestList.open(null, requests);
+        const followUpCrawler = new CheerioCrawler({
+            requestList,
+            proxyConfiguration,
+            maxConcurrency: blockGuard.concurrency,
+            maxRequestsPerMinute: requestsPerMinute,
+            useSessionPool: true,
+            persistCookiesPerSession: true,
+            additionalMimeTypes: ['text/html', 'application/xhtml+xml'],
+            preNavigationHooks,
+            postNavigationHooks: [
+                async ({ response }) => {
+                    runStats.status(response?.statusCode);
+                },
+            ],
+            requestHandlerTimeoutSecs: 60,
+            maxRequestRetries: 3,
+            statusMessageCallback: updateStatusMessage,
+            requestHandler: async (context) => {
+                const { request, $, session } = context;
+                replay?.restoreLoadedUrl(request);
+                await recordSnapshot(context);
+                const blockReason = detectBlock({ statusCode: context.response?.statusCode, body: context.body, $ });
+                if (blockReason) {
+                    if (session) session.retire();
+                    throw new Error(`Blocked by target site (${blockReason})`);
                 }
-                return;
-            }
-            // the very next option after current is our target
-            nextValue = val;
-            return false; // break
+                setConcurrency(followUpCrawler.autoscaledPool, blockGuard.onSuccess());
+                runStats.page('other');
+                await requestHandler(context);
+            },
+            errorHandler: handleRequestError,
+            failedRequestHandler: async (context, error) => {
+                const { request } = context;
+                runStats.requestFailed({ url: request.url, label: request.userData.label, error: error?.message });
+                await failedRequestHandler(context, error);
+            },
         });
+        await followUpCrawler.run();
+    };
 
-        if (nextValue) {
-            nextUrl = toAbs(nextValue, baseUrl);
-            if (nextUrl) return nextUrl;
+    /**
+     * Location/category filter options from the FR and EN listing filter panels,
+     * cached in a named key-value store. Null when the panels can't be read, in
+     * which case location/category are sent as free text.
+     */
+    const loadFilterOptions = async () => {
+        const cacheStore = replay ? null : await Actor.openKeyValueStore(FILTER_OPTIONS_STORE);
+        const cached = await cacheStore?.getValue('FILTER_OPTIONS');
+        if (cached && Date.now() - Date.parse(cached.fetchedAt) < FILTER_OPTIONS_TTL_MS) {
+            return cached.options;
         }
-    }
-
-    return null;
-}
-
-function buildStartUrl({ keyword, location, category, lang }) {
-    let base;
-    if (lang === 'en') {
-        base = 'https://www.rekrute.com/en/offres.html';
-    } else {
-        base = 'https://www.rekrute.com/offres.html';
-    }
-
-    const u = new URL(base);
-    u.searchParams.set('clear', '1');
-
-    if (keyword) u.searchParams.set('keyword', String(keyword).trim());
-    if (location) u.searchParams.set('jobLocation', String(location).trim());
-    if (category) u.searchParams.set('category', String(category).trim());
 
-    return u.href;
-}
-
-/**
- * Fallback for location from header / URL.
- */
-function inferLocationFallback($, url, existingLocation, headerMeta = {}) {
-    if (existingLocation) return existingLocation;
-    if (headerMeta.location) return headerMeta.location;
-
-    const headerText =
-        $('.page-heading h1').first().text() ||
-        $('h1').first().text() ||
-        $('title').first().text() ||
-        '';
-
-    if (headerText) {
-        const m = headerText.match(/\|\s*([^|]+?\(Morocco\)|[^|]+?\(Maroc\))/i);
-        if (m && m[1]) return m[1].trim();
-    }
-
-    const teaser = $('a.titreJob').first().text();
-    if (teaser) {
-        const m = teaser.match(/\|\s*([^|]+?\(Morocco\)|[^|]+?\(Maroc\))/i);
-        if (m && m[1]) return m[1].trim();
-    }
+        const optionSets = [];
+        await runFollowUpCrawl(
+            FILTER_PAGES.map((url) => ({ url, userData: { label: 'FILTERS' } })),
+            async ({ request, $ }) => {
+                optionSets.push(parseFilterOptions($, request.url));
+            },
+            async ({ request }) => {
+                log.warning(`Could not load filter options from ${request.url}`);
+            },
+        );
 
-    try {
-        const path = new URL(url).pathname;
-        const slugMatch = path.match(/-([a-zA-ZÀ-ÿ]+)-\d+\.html$/i);
-        if (slugMatch && slugMatch[1]) {
-            const citySlug = slugMatch[1];
-            const city = citySlug
-                .split('-')
-                .map((p) => p.charAt(0).toUpperCase() + p.slice(1).toLowerCase())
-                .join('-');
-            return city;
+        const options = mergeFilterOptions(optionSets);
+        if (!options.location.length && !options.category.length) {
+            log.warning('No filter options found on Rekrute, location/category are sent as free text.');
+            return null;
         }
-    } catch {
-        // ignore
-    }
-
-    return existingLocation || null;
-}
-
-// ---------- Main actor ----------
-
-Actor.main(async () => {
-    const input = (await Actor.getInput()) || {};
-
-    const {
-        startUrls = [],
-        keyword = '',
-        location = '',
-        category = '',
-        maxConcurrency = 20,
-        maxRequestsPerCrawl = 5000,
-    } = input;
-
-    // Respect "max jobs" from various possible input fields - prioritize results_wanted
-    const rawLimit =
-        input.results_wanted ??
-        input.maxItems ??
-        input.maxJobs ??
-        input.maxResults ??
-        input.limit ??
-        0;
-    const maxItems = toPositiveInt(rawLimit, 0, { min: 0, max: 100000 }); // 0 = unlimited
-    if (maxItems > 0) {
-        log.info(`Max items requested: ${maxItems}`);
-    } else {
-        log.info('No max items limit set (will crawl all available jobs within other limits).');
-    }
-
-    // Respect max_pages limit
-    const maxPages = toPositiveInt(input.max_pages, 0, { min: 0, max: 1000 }); // 0 = unlimited
-    if (maxPages > 0) {
-        log.info(`Max pages limit: ${maxPages}`);
-    } else {
-        log.info('No max pages limit set.');
-    }
-
-    scrapedCount = 0;
-    pagesVisited = 0;
+        log.info(`Loaded ${options.location.length} location and ${options.category.length} category filter options.`);
+        for (const kind of ['location', 'category']) {
+            if (!options[kind].length) log.warning(`No ${kind} filter options found on Rekrute, ${kind} is sent as free text.`);
+        }
+        await cacheStore?.setValue('FILTER_OPTIONS', { fetchedAt: new Date().toISOString(), options });
+        return options;
+    };
 
     const requestQueue = await RequestQueue.open();
 
-    const normalizedStartUrls = [];
-
-    // Support Apify UI startUrls: array of strings or { url }
-    if (Array.isArray(startUrls)) {
-        for (const s of startUrls) {
-            if (!s) continue;
-            if (typeof s === 'string') {
-                normalizedStartUrls.push(s);
-            } else if (typeof s === 'object' && s.url) {
-                normalizedStartUrls.push(s.url);
+    // Support Apify UI startUrls (array of strings or { url }) and single startUrl/url
+    const startUrlEntries = [
+        ...(Array.isArray(startUrls) ? startUrls.filter(Boolean) : []),
+        input.startUrl,
+        input.url,
+    ].filter(Boolean);
+
+    // Searches (branches): one per start URL or per keyword search, each with its own
+    // results_wanted/max_pages budget. Every request carries its branch in userData.searchId.
+    let searches = buildStartUrlSearches(startUrlEntries, { maxItems, maxPages });
+    if (searches.length > 0) {
+        if (Array.isArray(input.searches) && input.searches.length) {
+            log.warning('Start URLs provided, the "searches" input is ignored.');
+        }
+    } else {
+        // If none provided, build default English listings with filters
+        const filterOptions = searchesNeedFilters(input) ? await loadFilterOptions() : null;
+        searches = buildSearches(input, { maxItems, maxPages, dateFilter, lang: languages[0], filterOptions });
+        for (const search of searches) {
+            if (search.filters.length) {
+                log.info(`Search "${search.id}" filters: ${search.filters.map((f) => `${f.label} (${f.param}=${f.value})`).join(', ')}`);
             }
         }
     }
+    const searchStates = new Map(
+        searches.map((search) => [search.id, { ...search, scrapedCount: 0, pagesVisited: 0 }]),
+    );
+    if (searchStates.size > 1) {
+        log.info(`Running ${searchStates.size} searches: ${[...searchStates.keys()].join(', ')}`);
+    }
 
-    // Support single startUrl/url in input
-    if (input.startUrl) normalizedStartUrls.push(input.startUrl);
-    if (input.url) normalizedStartUrls.push(input.url);
+    const hasBudget = (search) => search.maxItems === 0 || search.scrapedCount < search.maxItems;
+    const abortIfAllSearchesDone = async () => {
+        if ([...searchStates.values()].some(hasBudget)) return;
+        log.info('Max items reached for every search, aborting crawler...');
+        if (crawler?.autoscaledPool) await crawler.autoscaledPool.abort();
+    };
 
-    // If none provided, build default English listing with filters
-    if (normalizedStartUrls.length === 0) {
-        const urlEn = buildStartUrl({ keyword, location, category, lang: 'en' });
-        normalizedStartUrls.push(urlEn);
-    }
+    // jobKey (jobId or URL) -> ids of the searches that listed the job
+    const jobSearches = new Map();
+    const tagJob = (jobKey, searchId) => {
+        if (!jobSearches.has(jobKey)) jobSearches.set(jobKey, new Set());
+        const tags = jobSearches.get(jobKey);
+        if (tags.has(searchId)) return false;
+        tags.add(searchId);
+        return true;
+    };
 
-    // Enqueue initial requests with correct label (LIST or DETAIL)
-    for (const url of normalizedStartUrls) {
+    /**
+     * Reserve one result slot in every search that listed the job and still has budget.
+     * Returns the job's search ids, or null when none of them has room left.
+     */
+    const takeSearchSlots = (jobKey) => {
+        const ids = [...(jobSearches.get(jobKey) || [])];
+        const open = ids.map((id) => searchStates.get(id)).filter(hasBudget);
+        if (open.length === 0) return null;
+        for (const search of open) search.scrapedCount += 1;
+        return ids;
+    };
+
+    // Enqueue initial requests with correct label (LIST or DETAIL). Listing pages are
+    // keyed per search so two searches sharing a listing both walk it with their own budget.
+    for (const search of searchStates.values()) {
+        const url = search.startUrl;
         const label = isDetailUrl(url) ? 'DETAIL' : 'LIST';
         await requestQueue.addRequest({
             url,
+            uniqueKey: label === 'LIST' ? `${search.id}|${url}` : url,
             userData: {
                 label,
                 initial: true,
+                searchId: search.id,
             },
         });
     }
 
     crawler = new CheerioCrawler({
         requestQueue,
-        maxConcurrency: toPositiveInt(maxConcurrency, 20, { min: 1, max: 1000 }),
+        proxyConfiguration,
+        maxConcurrency: concurrencyLimit,
+        maxRequestsPerMinute: requestsPerMinute,
         maxRequestsPerCrawl: toPositiveInt(maxRequestsPerCrawl, 5000, { min: 1, max: 100000 }),
         useSessionPool: true,
+        persistCookiesPerSession: true,
         sessionPoolOptions: {
             maxPoolSize: 100,
         },
         additionalMimeTypes: ['text/html', 'application/xhtml+xml'],
-        preNavigationHooks: [
-            async ({ request }) => {
-                const headers = headerGenerator.getHeaders({
-                    webBrowser: 'chrome',
-                    device: 'desktop',
-                    operatingSystem: 'windows',
-                    httpVersion: '2',
-                });
-
-                headers['Accept-Language'] =
-                    headers['Accept-Language'] ||
-                    'fr-FR,fr;q=0.9,en-US;q=0.8,en;q=0.7';
-                headers['Referer'] = headers['Referer'] || 'https://www.rekrute.com/';
-
-                request.headers = {
-                    ...request.headers,
-                    ...headers,
-                };
+        preNavigationHooks,
+        postNavigationHooks: [
+            async ({ proxyInfo, response }) => {
+                getProxyStats(proxyInfo).requests += 1;
+                runStats.status(response?.statusCode);
             },
         ],
         requestHandlerTimeoutSecs: 90,
         maxRequestRetries: 3,
+        statusMessageCallback: updateStatusMessage,
 
-        requestHandler: async ({ request, $, response, session }) => {
+        requestHandler: async ({ request, $, body, response, session, sendRequest }) => {
+            replay?.restoreLoadedUrl(request);
             const url = request.loadedUrl || request.url;
 
+            if (replay && response?.statusCode === 404) {
+                log.warning(`No snapshot for ${url}, skipping`);
+                return;
+            }
+            await recordSnapshot({ request, body });
+
             if (!$) {
                 throw new Error(`No HTML body loaded for ${url}`);
             }
@@ -957,90 +635,221 @@ Actor.main(async () => {
                 log.warning(`Got status ${response.statusCode} for ${url}`);
             }
 
-            if (isBlocked($)) {
-                log.warning(`Blocked or CAPTCHA at ${url}`);
-                if (session) session.markBad();
-                throw new Error('Blocked by target site');
-            }
-
             const userLabel = request.userData.label || 'AUTO';
             const weAreDetail = isDetailUrl(url);
             const isDetail = userLabel === 'DETAIL' || (userLabel === 'AUTO' && weAreDetail);
 
+            const blockReason = detectBlock({ statusCode: response?.statusCode, body, $, isListing: !isDetail });
+            if (blockReason) {
+                // Retire rather than markBad so the retry gets a fresh session, and with it a new proxy
+                if (session) session.retire();
+                throw new Error(`Blocked by target site (${blockReason})`);
+            }
+            setConcurrency(crawler.autoscaledPool, blockGuard.onSuccess());
+            runStats.page(isDetail ? 'detail' : 'listing');
+            const search = searchStates.get(request.userData.searchId) || searchStates.values().next().value;
+
             // ---------- LISTING PAGE ----------
             if (!isDetail) {
-                log.info(`Listing page: ${url}`);
+                log.info(`Listing page${searchStates.size > 1 && search.id !== url ? ` [${search.id}]` : ''}: ${url}`);
 
                 // Increment pages visited counter
-                pagesVisited += 1;
-                log.info(`Pages visited: ${pagesVisited}${maxPages > 0 ? `/${maxPages}` : ''}`);
+                search.pagesVisited += 1;
+                log.info(`Pages visited: ${search.pagesVisited}${search.maxPages > 0 ? `/${search.maxPages}` : ''}`);
 
                 // Check if max pages limit reached
-                if (maxPages > 0 && pagesVisited > maxPages) {
-                    log.info(`Max pages limit reached (${pagesVisited}/${maxPages}), stopping pagination.`);
-                    if (crawler?.autoscaledPool) {
-                        await crawler.autoscaledPool.abort();
-                    }
+                if (search.maxPages > 0 && search.pagesVisited > search.maxPages) {
+                    log.info(`Max pages limit reached (${search.pagesVisited}/${search.maxPages}), skipping listing: ${url}`);
                     return;
                 }
 
                 // If limit already hit, skip everything on this listing
-                if (maxItems > 0 && scrapedCount >= maxItems) {
-                    log.info(`Max items reached (${scrapedCount}/${maxItems}), skipping listing: ${url}`);
-                    if (crawler?.autoscaledPool) {
-                        await crawler.autoscaledPool.abort();
-                    }
+                if (!hasBudget(search)) {
+                    log.info(`Max items reached (${search.scrapedCount}/${search.maxItems}), skipping listing: ${url}`);
+                    await abortIfAllSearchesDone();
                     return;
                 }
 
                 const baseUrl = url;
 
                 // 1) enqueue job detail links
-                const jobLinks = findJobLinks($, baseUrl);
+                let jobLinks = runStats.timeParse('listing', () => findJobLinks($, baseUrl));
                 if (jobLinks.length === 0) {
                     log.warning(`No job links found on listing: ${url}`);
                 } else {
                     log.info(`Found ${jobLinks.length} job links on listing`);
                 }
 
-                // We still enqueue, but detail pages themselves will hard-respect maxItems
-                for (const link of jobLinks) {
-                    await requestQueue.addRequest({
-                        url: link,
-                        userData: {
-                            label: 'DETAIL',
-                            sourceUrl: baseUrl,
-                        },
+                // Drop cards published before the date cutoff. Listings are sorted
+                // newest first, so once one card is too old the next pages are too.
+                let pastCutoff = false;
+                if (dateCutoff) {
+                    const listingDates = runStats.timeParse('listing', () => findListingDates($, baseUrl));
+                    const before = jobLinks.length;
+                    jobLinks = jobLinks.filter((link) => {
+                        const date = listingDates.get(link);
+                        if (date && date < dateCutoff) {
+                            pastCutoff = true;
+                            return false;
+                        }
+                        return true;
                     });
+                    if (jobLinks.length < before) {
+                        runStats.jobSkipped('date', before - jobLinks.length);
+                        log.info(`Skipped ${before - jobLinks.length} job links older than the date filter`);
+                    }
+                }
+
+                // Tag every job this search matched. A job another search already saved
+                // counts towards this search too, it just isn't saved twice.
+                for (const link of jobLinks) {
+                    const jobKey = getJobIdFromUrl(link) || link;
+                    if (tagJob(jobKey, search.id) && pushedJobKeys.has(jobKey) && hasBudget(search)) {
+                        search.scrapedCount += 1;
+                    }
                 }
 
-                // Only follow pagination if we haven't reached the max items or pages
-                const shouldPaginate = (maxItems === 0 || scrapedCount < maxItems) && 
-                                      (maxPages === 0 || pagesVisited < maxPages);
-                
-                if (shouldPaginate) {
+                const cardsByUrl = new Map();
+                if (!collectDetails || seenStore) {
+                    const cards = runStats.timeParse('listing', () => parseListingCards($, baseUrl));
+                    for (const card of cards) cardsByUrl.set(card.url, card);
+                }
+
+                // A job still listed is alive, whether or not it gets scraped this run
+                if (checkExpired) {
+                    for (const card of cardsByUrl.values()) {
+                        if (card.jobId && seenJobs[card.jobId]) rememberJob(card.jobId, {});
+                    }
+                }
+
+                if (collectDetails) {
+                    // New jobs only: skip detail pages whose listing card is unchanged since the last run
+                    if (newJobsOnly) {
+                        const before = jobLinks.length;
+                        jobLinks = jobLinks.filter((link) => {
+                            const card = cardsByUrl.get(link);
+                            if (!card?.jobId) return true;
+                            if (classifyJob(card.jobId, 'cardHash', getCardFingerprint(card)) !== 'unchanged') return true;
+                            runStats.jobChange(card.jobId, 'unchanged');
+                            rememberJob(card.jobId, {});
+                            return false;
+                        });
+                        if (jobLinks.length < before) {
+                            runStats.jobSkipped('unchanged', before - jobLinks.length);
+                            log.info(`Skipped ${before - jobLinks.length} job links already seen in previous runs`);
+                        }
+                    }
+
+                    // We still enqueue, but detail pages themselves will hard-respect maxItems
+                    for (const link of jobLinks) {
+                        const card = cardsByUrl.get(link);
+                        await requestQueue.addRequest({
+                            url: link,
+                            userData: {
+                                label: 'DETAIL',
+                                sourceUrl: baseUrl,
+                                searchId: search.id,
+                                cardHash: card ? getCardFingerprint(card) : null,
+                            },
+                        });
+                    }
+                } else {
+                    // Listing-only mode: save one job per card, no detail requests
+                    const cards = jobLinks.map((link) => cardsByUrl.get(link)).filter(Boolean);
+                    if (jobLinks.length > 0 && cards.length === 0) {
+                        log.warning(`No listing cards parsed on ${url}, card layout may have changed`);
+                    }
+                    const language = detectLanguage($, url);
+                    let saved = 0;
+
+                    for (const card of cards) {
+                        const jobKey = card.jobId || card.url;
+                        if (dedupe && pushedJobKeys.has(jobKey)) {
+                            runStats.jobSkipped('duplicate');
+                            continue;
+                        }
+                        if (!hasBudget(search)) break;
+
+                        let changeStatus = null;
+                        if (seenStore && card.jobId) {
+                            const cardHash = getCardFingerprint(card);
+                            if (newJobsOnly) {
+                                changeStatus = classifyJob(card.jobId, 'cardHash', cardHash);
+                                runStats.jobChange(card.jobId, changeStatus);
+                            }
+                            rememberJob(card.jobId, { url: card.url, cardHash });
+                            if (changeStatus === 'unchanged') {
+                                runStats.jobSkipped('unchanged');
+                                continue;
+                            }
+                        }
+
+                        // Before reserving a slot: irrelevant jobs don't count towards maxItems
+                        const { relevance, relevant } = getRelevance(card);
+                        if (!relevant) {
+                            runStats.jobSkipped('relevance');
+                            continue;
+                        }
+
+                        const cardRecord = cardToRecord(card, { sourceUrl: baseUrl, language });
+                        const record = await toValidRecord({
+                            ...(pairLanguages
+                                ? mergeLanguageVersions({ [language || languages[0]]: cardRecord }, languages)
+                                : cardRecord),
+                            // no description on listing cards
+                            skills: null,
+                            languagesRequired: null,
+                            ...relevance,
+                            searches: [...(jobSearches.get(jobKey) || [])],
+                            changeStatus,
+                        });
+                        if (!record) continue;
+
+                        const searches = takeSearchSlots(jobKey);
+                        if (!searches) {
+                            runStats.jobSkipped('limit');
+                            continue;
+                        }
+                        pushedJobKeys.add(jobKey);
+                        scrapedCount += 1;
+
+                        extractionStats.add(record._extraction);
+                        await saveJob({ ...record, searches });
+                        saved += 1;
+                        trackCompany(card);
+                    }
+                    log.info(`Saved ${saved} jobs from listing cards (total scraped: ${scrapedCount})`);
+                }
+
+                // Only follow pagination if this search hasn't reached its max items or pages
+                const shouldPaginate = hasBudget(search) &&
+                                      (search.maxPages === 0 || search.pagesVisited < search.maxPages);
+
+                if (pastCutoff) {
+                    log.info(`Listing reached jobs older than the date filter, pagination stopped at ${url}`);
+                } else if (shouldPaginate) {
                     const nextUrl = findNextPage($, baseUrl);
                     if (nextUrl) {
                         log.info(`Enqueueing next listing page: ${nextUrl}`);
                         await requestQueue.addRequest({
                             url: nextUrl,
+                            uniqueKey: `${search.id}|${nextUrl}`,
                             userData: {
                                 label: 'LIST',
+                                searchId: search.id,
                             },
                         });
                     } else {
                         log.info(`No next page found from ${url}`);
                     }
                 } else {
-                    if (maxItems > 0 && scrapedCount >= maxItems) {
-                        log.info(`Max items reached (${scrapedCount}/${maxItems}), pagination stopped.`);
-                    }
-                    if (maxPages > 0 && pagesVisited >= maxPages) {
-                        log.info(`Max pages reached (${pagesVisited}/${maxPages}), pagination stopped.`);
+                    if (!hasBudget(search)) {
+                        log.info(`Max items reached (${search.scrapedCount}/${search.maxItems}), pagination stopped.`);
                     }
-                    if (crawler?.autoscaledPool) {
-                        await crawler.autoscaledPool.abort();
+                    if (search.maxPages > 0 && search.pagesVisited >= search.maxPages) {
+                        log.info(`Max pages reached (${search.pagesVisited}/${search.maxPages}), pagination stopped.`);
                     }
+                    await abortIfAllSearchesDone();
                 }
 
                 return;
@@ -1049,98 +858,314 @@ Actor.main(async () => {
             // ---------- DETAIL PAGE ----------
             log.info(`Detail page: ${url}`);
 
-            // *** Hard limit enforcement with safe increment-first pattern ***
-            if (maxItems > 0) {
-                // Quick short-circuit before doing heavy parsing work
-                if (scrapedCount >= maxItems) {
-                    log.info(`Max items already reached (${scrapedCount}/${maxItems}), skipping detail: ${url}`);
-                    if (crawler?.autoscaledPool) {
-                        await crawler.autoscaledPool.abort();
-                    }
-                    return;
-                }
+            // Quick short-circuit before doing heavy parsing work: every search that
+            // listed this job is already full
+            const jobKey = getJobIdFromUrl(url) || url;
+            tagJob(jobKey, search.id);
+            if (![...jobSearches.get(jobKey)].some((id) => hasBudget(searchStates.get(id)))) {
+                runStats.jobSkipped('limit');
+                log.info(`Max items already reached for ${[...jobSearches.get(jobKey)].join(', ')}, skipping detail: ${url}`);
+                await abortIfAllSearchesDone();
+                return;
+            }
 
-                // Reserve a slot for this job
-                scrapedCount += 1;
+            // ---------- Actual data extraction ----------
 
-                // If we exceeded (due to race), immediately stop and do not push
-                if (scrapedCount > maxItems) {
-                    log.info(`Over limit after increment (${scrapedCount}/${maxItems}), skipping detail: ${url}`);
-                    if (crawler?.autoscaledPool) {
-                        await crawler.autoscaledPool.abort();
-                    }
+            const result = runStats.timeParse('detail', () => extractJobDetail($, url, {
+                sourceUrl: request.userData.sourceUrl || null,
+            }));
+            const { jobId, datePosted } = result;
+            const companyInfo = {
+                companyId: result.companyId,
+                companyUrl: result.companyUrl,
+                companyLogoUrl: result.companyLogoUrl,
+            };
+
+            // Date filter is checked before reserving a slot so old jobs don't count towards maxItems
+            if (dateCutoff) {
+                const postedAt = parsePostedDate(datePosted);
+                if (postedAt && postedAt < dateCutoff) {
+                    runStats.jobSkipped('date');
+                    log.info(`Job published ${datePosted} is older than the date filter, skipping detail: ${url}`);
                     return;
                 }
             }
 
-            // ---------- Actual data extraction ----------
-
-            const jsonLd = extractFromJsonLd($);
-            const { title: titleParsed, company: companyParsed, location: headingLocation } =
-                parseTitleCompanyLocation($);
-            const headerMeta = extractHeaderInfo($);
-            const descriptionHtmlRaw = jsonLd?.descriptionHtml || getDescriptionHtml($);
-            const descriptionHtml = simplifyHtmlContent(descriptionHtmlRaw);
-            const descriptionText = cleanText(descriptionHtml);
+            if (dedupe && pushedJobKeys.has(jobKey)) {
+                runStats.jobSkipped('duplicate');
+                log.info(`Duplicate job ${jobKey}, skipping detail: ${url}`);
+                return;
+            }
 
-            const datePosted = jsonLd?.datePosted || getDatePosted($);
+            // Relevance is checked before reserving a slot too
+            const { relevance, relevant } = getRelevance(result);
+            if (!relevant) {
+                runStats.jobSkipped('relevance');
+                const { title, description, excluded } = relevance.matchedKeywords;
+                log.info(
+                    excluded.length
+                        ? `Job matches excluded keywords (${excluded.join(', ')}), skipping: ${url}`
+                        : `Job relevance ${relevance.relevanceScore} < ${minRelevanceScore} `
+                        + `(title: ${title.join(', ') || '-'}; description: ${description.join(', ') || '-'}), skipping: ${url}`,
+                );
+                return;
+            }
 
-            let locationFinal = jsonLd?.location || headingLocation || null;
-            locationFinal = inferLocationFallback($, url, locationFinal, headerMeta);
+            // Only remembered once handled, so jobs cut off by maxItems stay "new" for the next run
+            const seenFields = {
+                url,
+                cardHash: request.userData.cardHash || seenJobs[jobId]?.cardHash,
+                detailHash: getDetailFingerprint(result),
+            };
+            if (newJobsOnly && jobId) {
+                result.changeStatus = classifyJob(jobId, 'detailHash', seenFields.detailHash);
+                if (result.changeStatus === 'unchanged') {
+                    runStats.jobChange(jobId, 'unchanged');
+                    rememberJob(jobId, seenFields);
+                    runStats.jobSkipped('unchanged');
+                    log.info(`Job ${jobId} unchanged since last run, skipping: ${url}`);
+                    return;
+                }
+            }
 
-            const employmentType = getEmploymentType(
-                $,
-                jsonLd,
-                descriptionText,
-                headerMeta,
-            );
-            const salary = getSalary(
-                $,
-                jsonLd,
-                descriptionText,
-                headerMeta,
-            );
-            const language = detectLanguage($, url);
+            // Bilingual: the other language versions, merged into one record
+            let job = result;
+            if (pairLanguages) {
+                // The URL decides: alternate URLs are looked up from it, and html lang can be wrong
+                const urlLanguage = getUrlLanguage(url);
+                const pageLanguage = languages.includes(urlLanguage) ? urlLanguage : result.language;
+                const versions = { [pageLanguage]: result };
+                for (const lang of languages) {
+                    if (!versions[lang]) {
+                        versions[lang] = await fetchLanguageVersion({ $, url, lang, sendRequest, sourceUrl: result.sourceUrl });
+                    }
+                }
+                job = mergeLanguageVersions(versions, languages);
+            }
 
-            const jobIdMatch = url.match(/-(\d+)\.html$/);
-            const jobId = jobIdMatch ? jobIdMatch[1] : null;
+            // Invalid records don't take a slot, and stay retryable from another listing
+            const record = await toValidRecord({
+                ...job,
+                ...extractSkills(job.descriptionText),
+                ...relevance,
+                searches: [...jobSearches.get(jobKey)],
+            });
+            if (!record) return;
+
+            // *** Hard limit enforcement: reserve slots right before pushing ***
+            const searches = takeSearchSlots(jobKey);
+            if (!searches) {
+                runStats.jobSkipped('limit');
+                log.info(`Over limit for ${[...jobSearches.get(jobKey)].join(', ')}, skipping detail: ${url}`);
+                await abortIfAllSearchesDone();
+                return;
+            }
+            pushedJobKeys.add(jobKey);
+            scrapedCount += 1;
 
-            const result = {
-                url,
-                sourceUrl: request.userData.sourceUrl || null,
-                jobId,
-                title: jsonLd?.title || titleParsed || null,
-                company: jsonLd?.company || companyParsed || null,
-                datePosted,
-                descriptionHtml,
-                descriptionText,
-                employmentType,
-                salary,
-                location: locationFinal,
-                language,
-                // Store JSON-LD as a STRING to avoid Apify flattening into dozens of columns
-                rawJsonLd: jsonLd?.raw ? JSON.stringify(jsonLd.raw) : null,
-                scrapedAt: new Date().toISOString(),
-            };
+            extractionStats.add(job._extraction);
+            await saveJob({ ...record, searches });
+            trackCompany(companyInfo);
 
-            await Dataset.pushData(result);
+            if (seenStore && jobId) {
+                if (result.changeStatus) runStats.jobChange(jobId, result.changeStatus);
+                rememberJob(jobId, seenFields);
+            }
             log.info(`Saved job ${jobId || ''} from ${url} (total scraped: ${scrapedCount})`);
 
-            // If we just reached the limit with this job, stop the crawler
-            if (maxItems > 0 && scrapedCount >= maxItems && crawler?.autoscaledPool) {
-                log.info(`Max items (${maxItems}) reached, aborting crawler...`);
-                await crawler.autoscaledPool.abort();
-            }
+            // If this job filled the last search, stop the crawler
+            await abortIfAllSearchesDone();
         },
 
-        failedRequestHandler: async ({ request }) => {
+        // Runs before each retry: blocks from our own check and from blocked status codes
+        errorHandler: handleRequestError,
+
+        failedRequestHandler: async ({ request }, error) => {
+            runStats.requestFailed({ url: request.url, label: request.userData.label, error: error?.message });
             log.error(
                 `Request ${request.url} failed too many times (label=${request.userData.label})`,
             );
         },
     });
 
-    log.info('Starting crawler...');
-    await crawler.run();
+    if (blockedReason) {
+        log.warning('Rekrute blocked the filter options requests, not starting the crawl.');
+    } else {
+        log.info('Starting crawler...');
+        await crawler.run();
+    }
     log.info(`Crawler finished. Total jobs scraped: ${scrapedCount}`);
+    if (blockGuard.stats.blocks) {
+        const reasons = Object.entries(blockGuard.stats.reasons).map(([reason, n]) => `${reason}: ${n}`).join(', ');
+        log.info(`Blocked ${blockGuard.stats.blocks} times (${reasons}), concurrency ended at ${blockGuard.concurrency}.`);
+    }
+    if (useRelevance) log.info(`Relevance filter skipped ${runStats.stats.jobs.skipped.relevance} jobs.`);
+
+    if (searchStates.size > 1) {
+        for (const search of searchStates.values()) {
+            log.info(`  Search "${search.id}": ${search.scrapedCount} jobs, ${search.pagesVisited} listing pages`);
+        }
+        // Records carry the searches known when they were saved; a search that listed
+        // the job later is only in this map
+        const searchMatches = {};
+        for (const jobKey of pushedJobKeys) searchMatches[jobKey] = [...(jobSearches.get(jobKey) || [])];
+        await Actor.setValue('SEARCH_MATCHES', searchMatches);
+    }
+
+    const extractionReport = extractionStats.buildReport({
+        threshold: toPositiveInt(extractionAlertThreshold, 80, { min: 0, max: 100 }) / 100,
+    });
+    await Actor.setValue('EXTRACTION_REPORT', extractionReport);
+    for (const warning of extractionReport.warnings) log.warning(`Layout drift? ${warning}`);
+    log.info(`Extraction report saved to EXTRACTION_REPORT (${extractionReport.records} records).`);
+
+    // Once blocked, more requests only extend the ban
+    if (blockedReason && (checkExpired || (collectCompanies && companyPages.size > 0))) {
+        log.warning('Skipping the expiry check and company profiles, Rekrute is blocking requests.');
+    }
+
+    if (checkExpired && !blockedReason) {
+        // Re-check indexed jobs that this run didn't see alive
+        const candidates = Object.entries(seenJobs).filter(
+            ([, job]) => job.url && !job.expiredAt && job.lastSeenAt < runStartedAt,
+        );
+        log.info(`Checking ${candidates.length} previously scraped jobs for expiry...`);
+
+        if (candidates.length > 0) {
+            const tombstoneDataset = expiredDatasetName ? await Actor.openDataset(expiredDatasetName) : null;
+            let expiredCount = 0;
+
+            await runFollowUpCrawl(
+                candidates.map(([jobId, job]) => ({
+                    url: job.url,
+                    uniqueKey: `expired-check:${jobId}`,
+                    userData: { label: 'EXPIRED_CHECK', jobId },
+                })),
+                async ({ request, $, response }) => {
+                    const { jobId } = request.userData;
+
+                    const expiredReason = getExpiredReason({
+                        statusCode: response?.statusCode,
+                        requestedUrl: request.url,
+                        loadedUrl: request.loadedUrl,
+                        $,
+                    });
+
+                    if (!expiredReason) {
+                        rememberJob(jobId, {});
+                        return;
+                    }
+
+                    const expiredDetectedAt = new Date().toISOString();
+                    seenJobs[jobId] = { ...seenJobs[jobId], expiredAt: expiredDetectedAt, expiredReason };
+                    expiredCount += 1;
+
+                    const tombstone = await toValidRecord({
+                        jobId,
+                        url: request.url,
+                        status: 'expired',
+                        expiredReason,
+                        expiredDetectedAt,
+                    }, EXPIRED_FIELDS);
+                    if (tombstone && tombstoneDataset) await tombstoneDataset.pushData(tombstone);
+                    else if (tombstone) await Dataset.pushData(tombstone);
+                    log.info(`Job ${jobId} expired (${expiredReason}): ${request.url}`);
+                },
+                async ({ request }) => {
+                    log.warning(`Could not check job ${request.userData.jobId} for expiry: ${request.url}`);
+                },
+            );
+
+            log.info(`Expiry check finished: ${expiredCount} of ${candidates.length} jobs expired.`);
+        }
+    }
+
+    if (collectCompanies && companyPages.size > 0 && !blockedReason) {
+        log.info(`Collecting ${companyPages.size} company profiles...`);
+        const companiesDataset = await Actor.openDataset(companiesDatasetName);
+        let companiesSaved = 0;
+
+        await runFollowUpCrawl(
+            [...companyPages.entries()].map(([companyUrl, companyId]) => ({
+                url: companyUrl,
+                userData: { label: 'COMPANY', companyId },
+            })),
+            async ({ request, $, response }) => {
+                if (response?.statusCode >= 400) {
+                    log.warning(`Got status ${response.statusCode} for company page ${request.url}, skipping`);
+                    return;
+                }
+                const profile = parseCompanyPage($, request.url);
+                if (!profile) {
+                    log.warning(`No company profile found on ${request.url}, skipping`);
+                    return;
+                }
+                // keep the id jobs were tagged with, even if the page redirected
+                profile.companyId = request.userData.companyId || profile.companyId;
+                await companiesDataset.pushData(profile);
+                companiesSaved += 1;
+            },
+            async ({ request }) => {
+                log.warning(`Could not collect company profile: ${request.url}`);
+            },
+        );
+
+        log.info(`Saved ${companiesSaved} company profiles to dataset "${companiesDatasetName}".`);
+    }
+
+    if (webhook) {
+        const { sent, jobsSent, failed } = await webhook.close();
+        log.info(`Webhook: ${jobsSent} jobs delivered in ${sent} batches, ${failed} batches failed.`);
+        if (failed) log.warning(`Failed webhook batches are kept in key-value store "${webhookStoreName}" and retried on the next run.`);
+    }
+
+    if (exportFormats.length) {
+        // Every job saved to the default dataset, without expiry tombstones
+        const dataset = await Dataset.open();
+        const records = [];
+        await dataset.forEach((item) => {
+            if (item.status !== 'expired') records.push(item);
+        });
+
+        for (const format of exportFormats) {
+            const { key, contentType } = OUTPUT_FORMATS[format];
+            await Actor.setValue(key, buildExport(format, records), { contentType });
+            log.info(`Exported ${records.length} jobs as ${format} to key-value store record "${key}".`);
+        }
+    }
+
+    if (seenStore) await saveSeenJobs();
+    if (replay) await replay.close();
+
+    if (newJobsOnly) {
+        const counts = runStats.getChangeCounts();
+        log.info(`New jobs only summary: ${counts.new} new, ${counts.updated} updated, ${counts.unchanged} unchanged`);
+    }
+
+    if (proxyStats.size > 0) {
+        const rows = [...proxyStats.entries()].sort((a, b) => b[1].blocked - a[1].blocked);
+        log.info(`Proxy block rates (${rows.length} proxies):`);
+        for (const [key, { requests, blocked }] of rows.slice(0, 20)) {
+            const rate = requests > 0 ? ((blocked / requests) * 100).toFixed(1) : '0.0';
+            log.info(`  ${key}: ${blocked}/${requests} blocked (${rate}%)`);
+        }
+        if (rows.length > 20) log.info(`  ...and ${rows.length - 20} more`);
+    }
+
+    const summary = runStats.buildSummary({
+        status: blockedReason ? 'BLOCKED' : 'SUCCEEDED',
+        blockedReason,
+        blocks: blockGuard.stats.blocks,
+        blockReasons: { ...blockGuard.stats.reasons },
+    });
+    await Actor.setValue('RUN_SUMMARY', summary);
+    log.info(`Run summary saved to RUN_SUMMARY (${summary.jobs.pushed} jobs, ${summary.failedRequests.length} failed requests).`);
+
+    // Final status message: schedulers alert on the BLOCKED prefix. The run itself still
+    // succeeds with what was saved before the block.
+    const outcome = `${summary.jobs.pushed} jobs saved, ${summary.jobs.failed} failed, ${summary.blocks} blocks`;
+    await Actor.setStatusMessage(
+        blockedReason ? `BLOCKED by Rekrute (${blockedReason}). ${outcome}.` : `Finished: ${outcome}.`,
+        { isStatusMessageTerminal: true },
+    );
 });
@@ -0,0 +1,60 @@
+// Rekrute.com jobs scraper - include/exclude keyword relevance scoring
+
+import { stripAccents } from './utils.js';
+
+// A title hit says much more about the job than a passing mention in the description
+export const TITLE_WEIGHT = 3;
+export const DESCRIPTION_WEIGHT = 1;
+
+// Case- and accent-insensitive form both terms and texts are matched on
+const fold = (text) => stripAccents(String(text || '').toLowerCase());
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Keyword list -> [{ term, re }]. Plain terms match whole words ("java" doesn't
+ * match "javascript"); terms written as /pattern/ are regular expressions.
+ * Both are accent-folded, so "developpeur" matches "Développeur". Throws on an invalid pattern.
+ */
+export function compileTerms(terms) {
+    const list = (Array.isArray(terms) ? terms : [terms])
+        .map((t) => (typeof t === 'string' ? t.trim() : ''))
+        .filter(Boolean);
+
+    return list.map((term) => {
+        const regex = term.match(/^\/(.+)\/([a-z]*)$/);
+        if (regex) {
+            try {
+                // accents only: lowercasing would turn \S, \W... into other classes
+                return { term, re: new RegExp(stripAccents(regex[1]), `${regex[2].replace(/[gi]/g, '')}i`) };
+            } catch (err) {
+                throw new Error(`Invalid keyword pattern ${term}: ${err.message}`);
+            }
+        }
+        const words = fold(term).split(/\s+/).map(escapeRegExp).join('\\s+');
+        return { term, re: new RegExp(`(?<![a-z0-9])${words}(?![a-z0-9])`, 'i') };
+    });
+}
+
+/**
+ * Relevance of a job to the include/exclude terms (from compileTerms):
+ *   relevanceScore: TITLE_WEIGHT per include term in the title + DESCRIPTION_WEIGHT
+ *                   per include term in descriptionText; 0 when an exclude term matches
+ *   matchedKeywords: { title, description, excluded } - the terms behind the score
+ */
+export function scoreRelevance({ title, descriptionText }, { include = [], exclude = [] }) {
+    const foldedTitle = fold(title);
+    const foldedDescription = fold(descriptionText);
+    const hits = (terms, text) => terms.filter(({ re }) => re.test(text)).map(({ term }) => term);
+
+    const matchedKeywords = {
+        title: hits(include, foldedTitle),
+        description: hits(include, foldedDescription),
+        excluded: [...new Set([...hits(exclude, foldedTitle), ...hits(exclude, foldedDescription)])],
+    };
+    const relevanceScore = matchedKeywords.excluded.length
+        ? 0
+        : matchedKeywords.title.length * TITLE_WEIGHT + matchedKeywords.description.length * DESCRIPTION_WEIGHT;
+
+    return { relevanceScore, matchedKeywords };
+}
@@ -0,0 +1,117 @@
+// Rekrute.com jobs scraper - record/replay of fetched pages for offline debugging
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { hashContent } from './incremental.js';
+
+// Key-value store keys are limited to 256 chars of [a-zA-Z0-9!\-_.'()]
+const MAX_KEY_LENGTH = 200;
+
+/**
+ * Key-value store key for a page URL, also the snapshot file name (plus ".html")
+ * the replay server looks up. Host is dropped so FR/EN and www/non-www share paths;
+ * reserved characters are escaped as "!XX" so distinct URLs never collide.
+ */
+export function getSnapshotKey(url) {
+    const u = new URL(url);
+    const raw = `${u.pathname.replace(/^\/+/, '')}${u.search}` || 'index';
+    const key = encodeURIComponent(raw)
+        .replace(/[!'()*~]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+        .replace(/%/g, '!');
+    if (key.length <= MAX_KEY_LENGTH) return key;
+    return `${key.slice(0, MAX_KEY_LENGTH)}-${hashContent(raw).slice(0, 16)}`;
+}
+
+/**
+ * Snapshot for a request path: a recorded "<key>.html" file first, then a file
+ * mirroring the URL path (only for URLs without a query string).
+ */
+async function readSnapshot(dir, requestPath) {
+    const u = new URL(requestPath, 'https://www.rekrute.com');
+    const candidates = [path.join(dir, `${getSnapshotKey(u.href)}.html`)];
+    if (!u.search) {
+        let pathname = null;
+        try {
+            pathname = decodeURIComponent(u.pathname);
+        } catch {
+            // malformed escape ("%E0%A4%A"): no mirrored file, answered 404
+        }
+        const mirrored = pathname && path.resolve(dir, `.${pathname}`);
+        // never serve files outside the snapshot directory
+        if (mirrored?.startsWith(path.resolve(dir) + path.sep)) candidates.push(mirrored);
+    }
+
+    for (const file of candidates) {
+        try {
+            return await readFile(file);
+        } catch {
+            // try the next layout
+        }
+    }
+    return null;
+}
+
+/**
+ * Small HTTP stand-in for rekrute.com serving snapshots from a local directory,
+ * bound to 127.0.0.1 on a random port. Unknown pages answer 404.
+ */
+export async function startReplayServer(dir) {
+    const server = createServer(async (req, res) => {
+        const body = await readSnapshot(dir, req.url);
+        if (!body) {
+            res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end('<html><body><h1>Snapshot not found</h1></body></html>');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(body);
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+
+    const { port } = server.address();
+    return {
+        baseUrl: `http://127.0.0.1:${port}/`,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+/**
+ * Routes crawler requests to a replay source: a snapshot directory (served by
+ * startReplayServer) or the base URL of an already running mock server.
+ * Requests keep their rekrute.com URLs, so link resolution, pagination and
+ * DETAIL/LIST labeling behave as in a live run; only the fetch is redirected.
+ */
+export async function openReplay(replayFrom) {
+    const server = /^https?:\/\//i.test(replayFrom) ? null : await startReplayServer(replayFrom);
+    const baseUrl = server ? server.baseUrl : replayFrom.replace(/\/*$/, '/');
+
+    const toReplayUrl = (url) => {
+        const u = new URL(url);
+        return new URL(`${u.pathname.replace(/^\/+/, '')}${u.search}`, baseUrl).href;
+    };
+
+    return {
+        baseUrl,
+        toReplayUrl,
+
+        /** preNavigationHook: fetch from the replay source instead of rekrute.com. */
+        preNavigationHook: async ({ request }, gotOptions) => {
+            gotOptions.url = toReplayUrl(request.url);
+        },
+
+        /** Undo the replay URL Crawlee stores as loadedUrl, handlers expect rekrute.com URLs. */
+        restoreLoadedUrl: (request) => {
+            if (request.loadedUrl && request.loadedUrl.startsWith(baseUrl)) request.loadedUrl = request.url;
+        },
+
+        close: async () => {
+            if (server) await server.close();
+        },
+    };
+}
@@ -0,0 +1,181 @@
+// Rekrute.com jobs scraper - salary extraction and normalization
+
+// No \b before the codes: amounts are often glued to them ("8000DH")
+const CURRENCY_ALIASES = [
+    [/(?<![a-z])(?:mad|dhs?|dirhams?)\b/i, 'MAD'],
+    [/€|(?<![a-z])eur(?:os?)?\b/i, 'EUR'],
+    [/\$|(?<![a-z])(?:usd|dollars?)\b/i, 'USD'],
+];
+
+const SALARY_PERIODS = {
+    HOUR: 'hour',
+    DAY: 'day',
+    WEEK: 'week',
+    MONTH: 'month',
+    YEAR: 'year',
+};
+
+function normalizeCurrency(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    for (const [re, iso] of CURRENCY_ALIASES) {
+        if (re.test(text)) return iso;
+    }
+    return /^[a-z]{3}$/i.test(text) ? text.toUpperCase() : null;
+}
+
+/**
+ * JSON-LD baseSalary (MonetaryAmount) -> { salaryMin, salaryMax, currency, period }.
+ * Handles value as a number, or as a QuantitativeValue with value or minValue/maxValue.
+ */
+export function parseJsonLdSalary(baseSalary) {
+    if (!baseSalary || typeof baseSalary !== 'object') return null;
+
+    const qv = baseSalary.value;
+    const toNumber = (v) => {
+        const n = Number(typeof v === 'string' ? v.replace(/[\s\u00a0]/g, '').replace(',', '.') : v);
+        return Number.isFinite(n) && n > 0 ? n : null;
+    };
+
+    let salaryMin = null;
+    let salaryMax = null;
+    let unitText = baseSalary.unitText || null;
+
+    if (qv && typeof qv === 'object') {
+        salaryMin = toNumber(qv.minValue) ?? toNumber(qv.value);
+        salaryMax = toNumber(qv.maxValue) ?? toNumber(qv.value);
+        unitText = qv.unitText || unitText;
+    } else {
+        salaryMin = toNumber(qv) ?? toNumber(baseSalary.minValue);
+        salaryMax = toNumber(qv) ?? toNumber(baseSalary.maxValue);
+    }
+
+    if (salaryMin === null && salaryMax === null) return null;
+
+    return {
+        salaryMin: salaryMin ?? salaryMax,
+        salaryMax: salaryMax ?? salaryMin,
+        currency: normalizeCurrency(baseSalary.currency || qv?.currency),
+        period: SALARY_PERIODS[String(unitText || '').toUpperCase()] || null,
+    };
+}
+
+export function formatJsonLdSalary(baseSalary) {
+    const parsed = parseJsonLdSalary(baseSalary);
+    if (!parsed) return null;
+    const amount = parsed.salaryMin === parsed.salaryMax
+        ? `${parsed.salaryMin}`
+        : `${parsed.salaryMin} - ${parsed.salaryMax}`;
+    return `${amount} ${parsed.currency || ''}`.trim();
+}
+
+/**
+ * Salary (raw value + where it came from): prefer JSON-LD, then header info,
+ * then <li> with "Salaire"/"Salary", then body heuristics.
+ */
+export function getSalary($, jsonLd, descriptionText, headerMeta = {}) {
+    if (jsonLd?.salary) return { value: jsonLd.salary, source: 'jsonLd' };
+    if (headerMeta.salary) return { value: headerMeta.salary, source: 'header' };
+
+    const li = $('li:contains("Salaire"), li:contains("Rémunération"), li:contains("Salary")')
+        .filter((_, el) => !$(el).closest('#rk-filter-panel, #sidebar').length)
+        .first();
+    if (li.length) {
+        const t = li
+            .text()
+            .replace(/\u00a0/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (t) {
+            const m =
+                t.match(/Salaire\s*[:\-]\s*(.*)/i) ||
+                t.match(/Rémunération\s*[:\-]\s*(.*)/i) ||
+                t.match(/Salary\s*[:\-]\s*(.*)/i);
+            if (m && m[1]) return { value: m[1].trim(), source: 'li' };
+        }
+    }
+
+    const text = (descriptionText || $('body').text() || '');
+
+    // Only look at lines that talk about pay, otherwise any "3 000 DH" in the page matches
+    const salaryLines = text
+        .split('\n')
+        .filter((line) => /salaire|rémunération|salary|package/i.test(line));
+
+    for (const line of salaryLines) {
+        const amount = line.match(/(\d[\d\s\.]{2,}(?:\s*[-–à]\s*\d[\d\s\.]{2,})?)\s*((?:MAD|DHS?|EUR)\b|€)/i);
+        if (amount) return { value: `${amount[1].trim()} ${amount[2].trim()}`, source: 'description' };
+
+        const m = line.match(/(?:salaire|rémunération|salary)\s*[:\-]\s*(.+)/i);
+        if (m && m[1]) return { value: m[1].trim(), source: 'description' };
+    }
+
+    return { value: null, source: null };
+}
+
+/**
+ * Free-text salary -> { salaryMin, salaryMax, currency, period, isNegotiable }.
+ * "6 000 - 8 000 DH / mois", "12K MAD brut annuel", "Selon profil".
+ */
+export function parseSalaryText(raw) {
+    const empty = { salaryMin: null, salaryMax: null, currency: null, period: null, isNegotiable: false };
+    if (!raw) return empty;
+
+    const text = String(raw).replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+    const lower = text.toLowerCase();
+
+    const isNegotiable = /selon profil|selon expérience|à négocier|négociable|negotiable|to be discussed|competitive|attracti(?:f|ve)|motivant/.test(lower);
+
+    let period = null;
+    if (/(?:par|\/)\s*(?:heure|h\b)|horaire|per hour|hourly|\/\s*hour/.test(lower)) period = 'hour';
+    else if (/(?:par|\/)\s*(?:an|année)\b|annuel|per year|yearly|annual|\/\s*year/.test(lower)) period = 'year';
+    else if (/(?:par|\/)\s*mois|mensuel|per month|monthly|\/\s*month/.test(lower)) period = 'month';
+
+    // Amounts: "6000", "6 000", "6.000", "12K", "12,5K"
+    const amounts = [];
+    const amountRe = /(\d{1,3}(?:[ .]\d{3})+|\d+)(?:,(\d+))?\s*(k)?(?![\d])/gi;
+    let m;
+    while ((m = amountRe.exec(text)) !== null) {
+        let value = Number(`${m[1].replace(/[ .]/g, '')}${m[2] ? `.${m[2]}` : ''}`);
+        if (m[3]) value *= 1000;
+        // skip small numbers (years of experience, positions count...) unless paid by the hour
+        if (Number.isFinite(value) && value >= (period === 'hour' ? 1 : 100)) amounts.push(value);
+    }
+
+    let salaryMin = null;
+    let salaryMax = null;
+    if (amounts.length >= 2) {
+        salaryMin = Math.min(amounts[0], amounts[1]);
+        salaryMax = Math.max(amounts[0], amounts[1]);
+    } else if (amounts.length === 1) {
+        if (/à partir de|minimum|from|starting at|\bdès\b/.test(lower)) salaryMin = amounts[0];
+        else if (/jusqu'à|maximum|up to/.test(lower)) salaryMax = amounts[0];
+        else salaryMin = salaryMax = amounts[0];
+    }
+
+    return {
+        salaryMin,
+        salaryMax,
+        currency: amounts.length ? normalizeCurrency(text) : null,
+        period,
+        isNegotiable,
+    };
+}
+
+/**
+ * Structured salary: JSON-LD baseSalary when it has amounts, else parse the raw
+ * string picked by getSalary (header meta / <li> / description).
+ */
+export function getSalaryDetails(jsonLd, salaryRaw) {
+    const fromText = parseSalaryText(salaryRaw);
+    const fromJsonLd = jsonLd?.baseSalary;
+    if (!fromJsonLd) return fromText;
+
+    return {
+        salaryMin: fromJsonLd.salaryMin,
+        salaryMax: fromJsonLd.salaryMax,
+        currency: fromJsonLd.currency || fromText.currency,
+        period: fromJsonLd.period || fromText.period,
+        isNegotiable: fromText.isNegotiable,
+    };
+}
@@ -0,0 +1,196 @@
+// Rekrute.com jobs scraper - output record schema: validation, dataset_schema.json and schemaVersion
+
+import { SUPPORTED_LANGUAGES } from './bilingual.js';
+
+// Bump whenever a field is added, removed, renamed or changes type
+export const SCHEMA_VERSION = 1;
+
+// Field -> { type, nullable, optional, enum, format, items, title }.
+// Every field is present on every record unless `optional`, and never null unless `nullable`.
+export const JOB_FIELDS = {
+    schemaVersion: { type: 'integer', title: 'Schema version' },
+    url: { type: 'string', format: 'uri', title: 'URL' },
+    sourceUrl: { type: 'string', format: 'uri', nullable: true, title: 'Listing URL' },
+    jobId: { type: 'string', nullable: true, title: 'Job ID' },
+    title: { type: 'string', title: 'Job title' },
+    company: { type: 'string', nullable: true, title: 'Company' },
+    companyId: { type: 'string', nullable: true, title: 'Company ID' },
+    companyUrl: { type: 'string', format: 'uri', nullable: true, title: 'Company page' },
+    companyLogoUrl: { type: 'string', format: 'uri', nullable: true, title: 'Company logo' },
+    datePosted: { type: 'string', nullable: true, title: 'Posted (as shown)' },
+    datePostedIso: { type: 'string', format: 'date', nullable: true, title: 'Posted' },
+    validThrough: { type: 'string', nullable: true, title: 'Valid through (as shown)' },
+    validThroughIso: { type: 'string', format: 'date', nullable: true, title: 'Valid through' },
+    descriptionHtml: { type: 'string', nullable: true, title: 'Description (HTML)' },
+    descriptionText: { type: 'string', nullable: true, title: 'Description' },
+    descriptionMarkdown: { type: 'string', nullable: true, title: 'Description (Markdown)' },
+    descriptionSections: { type: 'array', items: 'object', nullable: true, title: 'Description sections' },
+    employmentType: { type: 'string', nullable: true, title: 'Employment type (as shown)' },
+    employmentTypeSource: { type: 'string', nullable: true, title: 'Employment type source' },
+    contractType: {
+        type: 'string',
+        enum: ['CDI', 'CDD', 'INTERIM', 'STAGE', 'FREELANCE', 'ANAPEC', 'OTHER'],
+        nullable: true,
+        title: 'Contract',
+    },
+    workingTime: { type: 'string', enum: ['FULL_TIME', 'PART_TIME'], nullable: true, title: 'Working time' },
+    salary: { type: 'string', nullable: true, title: 'Salary' },
+    salaryMin: { type: 'number', nullable: true, title: 'Salary min' },
+    salaryMax: { type: 'number', nullable: true, title: 'Salary max' },
+    currency: { type: 'string', nullable: true, title: 'Currency' },
+    period: { type: 'string', enum: ['hour', 'day', 'week', 'month', 'year'], nullable: true, title: 'Pay period' },
+    isNegotiable: { type: 'boolean', title: 'Negotiable' },
+    location: { type: 'string', nullable: true, title: 'Location' },
+    experience: { type: 'string', nullable: true, title: 'Experience' },
+    experienceMinYears: { type: 'number', nullable: true, title: 'Experience min (years)' },
+    experienceMaxYears: { type: 'number', nullable: true, title: 'Experience max (years)' },
+    educationLevel: { type: 'string', nullable: true, title: 'Education' },
+    sector: { type: 'string', nullable: true, title: 'Sector' },
+    jobFunction: { type: 'string', nullable: true, title: 'Function' },
+    telework: { type: 'string', nullable: true, title: 'Telework' },
+    positionsCount: { type: 'integer', nullable: true, title: 'Positions' },
+    language: { type: 'string', enum: SUPPORTED_LANGUAGES, nullable: true, title: 'Language' },
+    rawJsonLd: { type: 'string', nullable: true, title: 'Raw JSON-LD' },
+    _extraction: { type: 'object', title: 'Extraction strategies' },
+    changeStatus: { type: 'string', enum: ['new', 'updated', 'unchanged'], nullable: true, title: 'Change status' },
+    scrapedAt: { type: 'string', format: 'date-time', title: 'Scraped at' },
+    // bilingual runs only
+    ...Object.fromEntries(SUPPORTED_LANGUAGES.flatMap((lang) => [
+        [`title_${lang}`, { type: 'string', nullable: true, optional: true, title: `Title (${lang})` }],
+        [`description_${lang}`, { type: 'string', nullable: true, optional: true, title: `Description (${lang})` }],
+    ])),
+    languagesAvailable: { type: 'array', items: 'string', optional: true, title: 'Languages available' },
+    skills: { type: 'array', items: 'string', nullable: true, title: 'Skills' },
+    languagesRequired: { type: 'array', items: 'object', nullable: true, title: 'Languages required' },
+    relevanceScore: { type: 'integer', nullable: true, title: 'Relevance score' },
+    matchedKeywords: { type: 'object', nullable: true, title: 'Matched keywords' },
+    searches: { type: 'array', items: 'string', title: 'Searches' },
+};
+
+// Records saved by checkExpired for offers removed from Rekrute
+export const EXPIRED_FIELDS = {
+    schemaVersion: JOB_FIELDS.schemaVersion,
+    jobId: { type: 'string', title: 'Job ID' },
+    url: JOB_FIELDS.url,
+    status: { type: 'string', enum: ['expired'], title: 'Status' },
+    expiredReason: { type: 'string', title: 'Expired reason' },
+    expiredDetectedAt: { type: 'string', format: 'date-time', title: 'Expired at' },
+};
+
+// Dataset views on the Apify console: view -> [title, fields]
+const VIEWS = {
+    overview: ['Overview', ['title', 'company', 'location', 'contractType', 'datePostedIso', 'salary', 'url']],
+    details: ['Details', [
+        'title', 'company', 'location', 'contractType', 'workingTime', 'experience', 'educationLevel',
+        'sector', 'telework', 'skills', 'relevanceScore', 'datePostedIso', 'validThroughIso', 'url',
+    ]],
+};
+
+const FORMATS = {
+    uri: (value) => URL.canParse(value),
+    date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    'date-time': (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const hasType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Problems of a record against a field definition (JOB_FIELDS by default), as
+ * "field: problem" strings: missing or unexpected fields, nulls, wrong types,
+ * values outside an enum or format. Empty for a valid record.
+ */
+export function validateRecord(record, fields = JOB_FIELDS) {
+    const errors = [];
+    for (const [field, spec] of Object.entries(fields)) {
+        if (!(field in record)) {
+            if (!spec.optional) errors.push(`${field}: missing`);
+            continue;
+        }
+        const value = record[field];
+        if (value === null || value === undefined) {
+            if (!spec.nullable) errors.push(`${field}: is ${value}`);
+            continue;
+        }
+        if (!hasType(value, spec.type)) {
+            errors.push(`${field}: expected ${spec.type}, got ${typeOf(value)}`);
+        } else if (spec.enum && !spec.enum.includes(value)) {
+            errors.push(`${field}: ${JSON.stringify(value)} is not one of ${spec.enum.join(', ')}`);
+        } else if (spec.format && !FORMATS[spec.format](value)) {
+            errors.push(`${field}: ${JSON.stringify(value)} is not a valid ${spec.format}`);
+        } else if (spec.items && value.some((item) => !hasType(item, spec.items))) {
+            errors.push(`${field}: expected ${spec.items} items`);
+        }
+    }
+    for (const field of Object.keys(record)) {
+        if (!fields[field]) errors.push(`${field}: unexpected field`);
+    }
+    return errors;
+}
+
+const toJsonSchema = ({ type, nullable, enum: values, format, items, title }) => ({
+    type: nullable ? [type, 'null'] : type,
+    ...(title ? { title } : {}),
+    ...(values ? { enum: nullable ? [...values, null] : values } : {}),
+    ...(format ? { format } : {}),
+    ...(items ? { items: { type: items } } : {}),
+});
+
+const toDisplayFormat = ({ type, format }) => {
+    if (format === 'uri') return 'link';
+    if (format === 'date' || format === 'date-time') return 'date';
+    if (type === 'integer' || type === 'number') return 'number';
+    return { boolean: 'boolean', array: 'array', object: 'object' }[type] || 'text';
+};
+
+const required = (fields) => Object.keys(fields).filter((field) => !fields[field].optional);
+
+/**
+ * Contents of .actor/dataset_schema.json: the fields of job records and expired
+ * records (told apart by `status`), and the console views. Written by
+ * `npm run build:schema`, a test checks the file is up to date.
+ */
+export function buildDatasetSchema() {
+    const properties = {};
+    for (const [field, spec] of Object.entries({ ...JOB_FIELDS, ...EXPIRED_FIELDS })) {
+        // fields of both record kinds keep the job record's definition (jobId may be null)
+        properties[field] = toJsonSchema(field in JOB_FIELDS ? { ...spec, ...JOB_FIELDS[field] } : spec);
+    }
+
+    const views = {};
+    for (const [view, [title, fields]] of Object.entries(VIEWS)) {
+        views[view] = {
+            title,
+            transformation: { fields },
+            display: {
+                component: 'table',
+                properties: Object.fromEntries(fields.map((field) => [field, {
+                    label: JOB_FIELDS[field].title,
+                    format: toDisplayFormat(JOB_FIELDS[field]),
+                }])),
+            },
+        };
+    }
+
+    return {
+        actorSpecification: 1,
+        fields: {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties,
+            if: { properties: { status: { const: 'expired' } }, required: ['status'] },
+            then: { required: required(EXPIRED_FIELDS) },
+            else: { required: required(JOB_FIELDS) },
+        },
+        views,
+    };
+}
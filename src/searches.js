@@ -0,0 +1,123 @@
+// Rekrute.com jobs scraper - batch search input (searches array / keyword x location matrix)
+
+import { toPositiveInt } from './utils.js';
+import { buildStartUrl } from './listing.js';
+import { resolveFilterOption } from './filters.js';
+
+const toList = (value) => (Array.isArray(value) ? value : [value])
+    .map((v) => (typeof v === 'string' ? v.trim() : ''))
+    .filter(Boolean);
+
+/**
+ * Readable, unique id for a search: its `name`, else "keyword / location / category".
+ */
+function getSearchId({ name, keyword, location, category }, taken) {
+    const base = (name && String(name).trim())
+        || [keyword, location, category].filter(Boolean).join(' / ')
+        || 'all jobs';
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base} #${n}`;
+    taken.add(id);
+    return id;
+}
+
+/**
+ * results_wanted/max_pages of a search or start URL entry, defaulting to the run-level limits.
+ */
+function getBudget(spec, { maxItems, maxPages }) {
+    const given = (value) => value !== undefined && value !== null && value !== '';
+    return {
+        maxItems: given(spec.results_wanted)
+            ? toPositiveInt(spec.results_wanted, maxItems, { min: 0, max: 100000 })
+            : maxItems,
+        maxPages: given(spec.max_pages)
+            ? toPositiveInt(spec.max_pages, maxPages, { min: 0, max: 1000 })
+            : maxPages,
+    };
+}
+
+/**
+ * Searches to run, each with its own start URL and budget:
+ *  1) `searches`: [{ name?, keyword?, location?, category?, results_wanted?, max_pages? }]
+ *  2) `keywords` x `locations` lists, expanded as a cartesian product
+ *  3) the single keyword/location/category inputs
+ * Budgets default to the run-level maxItems/maxPages (0 = unlimited).
+ * With `filterOptions` (see filters.js) location/category are sent as Rekrute filter IDs;
+ * an unknown value throws with the list of valid ones. A kind without any option is
+ * sent as free text, like both are without `filterOptions`.
+ */
+export function buildSearches(input, { maxItems = 0, maxPages = 0, dateFilter, lang = 'en', filterOptions = null } = {}) {
+    let specs = [];
+
+    if (Array.isArray(input.searches) && input.searches.length) {
+        specs = input.searches.filter((s) => s && typeof s === 'object');
+    } else {
+        const keywords = toList(input.keywords);
+        const locations = toList(input.locations);
+        if (keywords.length || locations.length) {
+            // a single keyword/location input fills in for the list that wasn't given
+            for (const keyword of keywords.length ? keywords : [input.keyword || '']) {
+                for (const location of locations.length ? locations : [input.location || '']) {
+                    specs.push({ keyword, location, category: input.category });
+                }
+            }
+        }
+    }
+
+    if (!specs.length) {
+        specs = [{ keyword: input.keyword, location: input.location, category: input.category }];
+    }
+
+    const taken = new Set();
+    return specs.map((spec) => {
+        const keyword = String(spec.keyword ?? '').trim();
+        const location = String(spec.location ?? '').trim();
+        const category = String(spec.category ?? '').trim();
+
+        const filters = [];
+        const freeText = {};
+        for (const [kind, value] of [['location', location], ['category', category]]) {
+            if (!filterOptions?.[kind]?.length) {
+                freeText[kind] = value;
+                continue;
+            }
+            const option = resolveFilterOption(filterOptions, kind, value);
+            if (option) filters.push(option);
+        }
+
+        return {
+            id: getSearchId({ name: spec.name, keyword, location, category }, taken),
+            keyword,
+            location,
+            category,
+            filters: filters.map(({ param, value, labels }) => ({ param, value, label: labels[0] })),
+            startUrl: buildStartUrl({ keyword, ...freeText, dateFilter, lang, filters }),
+            ...getBudget(spec, { maxItems, maxPages }),
+        };
+    });
+}
+
+/**
+ * Whether any search filters on location or category (worth loading the filter options).
+ */
+export function searchesNeedFilters(input) {
+    const specs = Array.isArray(input.searches) && input.searches.length ? input.searches : [input];
+    return specs.some((spec) => spec && (toList(spec.location).length || toList(spec.category).length))
+        || toList(input.locations).length > 0;
+}
+
+/**
+ * One search per start URL, so every seed paginates on its own budget instead of
+ * the first one using up the run's max_pages. Entries are URLs or
+ * { url, results_wanted?, max_pages? }; the URL is the search id.
+ */
+export function buildStartUrlSearches(startUrls, { maxItems = 0, maxPages = 0 } = {}) {
+    const searches = new Map();
+    for (const entry of startUrls) {
+        const spec = typeof entry === 'string' ? { url: entry } : entry;
+        const url = typeof spec?.url === 'string' ? spec.url.trim() : '';
+        if (!url || searches.has(url)) continue;
+        searches.set(url, { id: url, startUrl: url, ...getBudget(spec, { maxItems, maxPages }) });
+    }
+    return [...searches.values()];
+}
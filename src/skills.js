@@ -0,0 +1,184 @@
+// Rekrute.com jobs scraper - skill/technology tags and required languages from descriptions
+
+import { stripAccents } from './utils.js';
+
+// Canonical skill -> terms that mean it (FR/EN), matched case- and accent-insensitively on
+// whole words. The name itself is not matched implicitly: "Tableau", "Go" or "Sage" are plain
+// French/English words, so those only match through unambiguous terms.
+// Too ambiguous to match at all: "C", "R", "Word", "Access".
+export const DEFAULT_SKILLS = {
+    // languages & runtimes
+    JavaScript: ['javascript', 'js', 'ecmascript', 'es6'],
+    TypeScript: ['typescript'],
+    Java: ['java', 'j2ee', 'jee', 'java ee'],
+    Python: ['python'],
+    'C#': ['c#', 'csharp', 'c sharp'],
+    'C++': ['c++', 'cpp'],
+    PHP: ['php'],
+    Go: ['golang'],
+    Kotlin: ['kotlin'],
+    // plain "SWIFT" is usually the banking network
+    Swift: ['swiftui', 'swift ios', 'ios swift'],
+    Ruby: ['ruby', 'ruby on rails', 'rails'],
+    Scala: ['scala'],
+    COBOL: ['cobol'],
+    'Node.js': ['node.js', 'nodejs', 'node js'],
+    '.NET': ['.net', 'dotnet', 'asp.net', '.net core'],
+    HTML: ['html', 'html5'],
+    CSS: ['css', 'css3', 'sass', 'scss'],
+    // frameworks
+    React: ['react', 'react.js', 'reactjs'],
+    Angular: ['angular', 'angularjs'],
+    'Vue.js': ['vue.js', 'vuejs'],
+    Spring: ['spring', 'spring boot', 'springboot'],
+    Django: ['django'],
+    Laravel: ['laravel'],
+    Symfony: ['symfony'],
+    Flutter: ['flutter'],
+    // data
+    SQL: ['sql', 'pl/sql', 't-sql'],
+    MySQL: ['mysql'],
+    PostgreSQL: ['postgresql', 'postgres'],
+    'Oracle Database': ['oracle database', 'base oracle', 'oracle db'],
+    MongoDB: ['mongodb', 'mongo'],
+    'Power BI': ['power bi', 'powerbi'],
+    Tableau: ['tableau software'],
+    'Machine Learning': ['machine learning', 'apprentissage automatique', 'deep learning'],
+    Spark: ['spark', 'apache spark', 'pyspark'],
+    Hadoop: ['hadoop'],
+    // cloud & ops
+    AWS: ['aws', 'amazon web services'],
+    Azure: ['azure', 'microsoft azure'],
+    GCP: ['gcp', 'google cloud'],
+    Docker: ['docker'],
+    Kubernetes: ['kubernetes', 'k8s'],
+    Git: ['git', 'github', 'gitlab'],
+    Linux: ['linux', 'unix'],
+    'CI/CD': ['ci/cd', 'jenkins', 'integration continue'],
+    // enterprise software
+    SAP: ['sap', 'sap fi', 'sap mm', 'sap sd', 's/4hana'],
+    Salesforce: ['salesforce'],
+    'Microsoft Dynamics': ['dynamics 365', 'microsoft dynamics', 'navision'],
+    Sage: ['sage 100', 'sage x3', 'sage saari', 'logiciel sage', 'sage comptabilite', 'sage paie'],
+    Excel: ['excel', 'ms excel', 'microsoft excel'],
+    'MS Office': ['ms office', 'microsoft office', 'pack office', 'suite office', 'office 365'],
+    'Microsoft Word': ['ms word', 'microsoft word'],
+    PowerPoint: ['powerpoint', 'power point'],
+    // engineering & design
+    AutoCAD: ['autocad', 'auto cad'],
+    SolidWorks: ['solidworks', 'solid works'],
+    CATIA: ['catia'],
+    Revit: ['revit'],
+    MATLAB: ['matlab'],
+    Photoshop: ['photoshop'],
+    Illustrator: ['illustrator'],
+    Figma: ['figma'],
+    // methods
+    Agile: ['agile', 'agilite', 'methodes agiles'],
+    Scrum: ['scrum'],
+    Jira: ['jira'],
+    ITIL: ['itil'],
+    Lean: ['lean', 'lean management', 'six sigma'],
+};
+
+// Language -> FR/EN names
+const LANGUAGES = {
+    English: ['anglais', 'english'],
+    French: ['francais', 'french'],
+    Arabic: ['arabe', 'arabic'],
+    Spanish: ['espagnol', 'spanish'],
+    German: ['allemand', 'german'],
+    Italian: ['italien', 'italian'],
+    Amazigh: ['amazigh', 'tamazight', 'berbere'],
+};
+
+// Proficiency level -> wording, strongest first (accent-folded, lowercase)
+const LANGUAGE_LEVELS = [
+    ['native', /langue maternelle|native|mother tongue/],
+    ['bilingual', /bilingue|bilingual/],
+    ['fluent', /courant|couramment|fluent|fluency|parfaite maitrise|excellente? maitrise|maitrise parfaite|excellent/],
+    ['professional', /professionnel|business|bonne maitrise|maitrise|bon niveau|good command|proficien|working knowledge/],
+    ['intermediate', /intermediaire|intermediate|moyen|correct|conversational/],
+    ['basic', /notions|basique|basic|elementaire|scolaire/],
+];
+
+const fold = (text) => stripAccents(String(text || '').toLowerCase());
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match that also works for terms like "c#", "c++", ".net" or "node.js"
+const termRegExp = (synonyms) => new RegExp(
+    `(?<![a-z0-9])(?:${synonyms.map((s) => escapeRegExp(fold(s)).replace(/\s+/g, '\\s+')).join('|')})(?![a-z0-9+#])`,
+);
+
+const LANGUAGE_MATCHERS = Object.entries(LANGUAGES).map(([language, names]) => [language, termRegExp(names)]);
+
+/**
+ * Default dictionary extended with a custom one ({ "Canonical": ["term", ...] }).
+ * A custom entry adds terms to a default skill of the same name (or a new skill);
+ * an empty list removes the skill.
+ */
+export function buildSkillsDictionary(custom = null) {
+    const dictionary = Object.fromEntries(Object.entries(DEFAULT_SKILLS).map(([k, v]) => [k, [...v]]));
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) return dictionary;
+
+    for (const [skill, synonyms] of Object.entries(custom)) {
+        const list = (Array.isArray(synonyms) ? synonyms : [synonyms]).filter((s) => typeof s === 'string' && s.trim());
+        if (!list.length) {
+            delete dictionary[skill];
+            continue;
+        }
+        dictionary[skill] = [...new Set([...(dictionary[skill] || []), ...list.map((s) => s.trim())])];
+    }
+    return dictionary;
+}
+
+/**
+ * Required languages with their level:
+ *   [{ language: 'English', level: 'fluent' | 'native' | ... | null }]
+ * The level comes from the sentence or list item naming the language, so
+ * "Français et anglais courants" gives both languages "fluent".
+ */
+export function extractLanguages(text) {
+    const found = new Map();
+    const clauses = fold(text).split(/[.;:!?\n•·|]+/);
+
+    for (const clause of clauses) {
+        const named = LANGUAGE_MATCHERS
+            .map(([language, re]) => [language, clause.search(re)])
+            .filter(([, index]) => index >= 0)
+            .sort((a, b) => a[1] - b[1]);
+        if (!named.length) continue;
+        const level = LANGUAGE_LEVELS.find(([, re]) => re.test(clause))?.[0] || null;
+        for (const [language] of named) {
+            // keep the first stated level
+            if (!found.has(language) || (!found.get(language) && level)) found.set(language, level);
+        }
+    }
+    return [...found.entries()].map(([language, level]) => ({ language, level }));
+}
+
+/**
+ * Skill extractor for a dictionary (see buildSkillsDictionary):
+ *   descriptionText -> { skills: ['Java', 'SAP', ...], languagesRequired: [...] }
+ * Skills are listed in order of first mention. Both are null without a description.
+ */
+export function createSkillsExtractor(dictionary = DEFAULT_SKILLS) {
+    const matchers = Object.entries(dictionary).map(([skill, synonyms]) => ({
+        skill,
+        re: termRegExp(synonyms),
+    }));
+
+    return (descriptionText) => {
+        if (!descriptionText) return { skills: null, languagesRequired: null };
+        const text = fold(descriptionText);
+
+        const skills = matchers
+            .map(({ skill, re }) => ({ skill, index: text.search(re) }))
+            .filter(({ index }) => index >= 0)
+            .sort((a, b) => a.index - b.index)
+            .map(({ skill }) => skill);
+
+        return { skills, languagesRequired: extractLanguages(descriptionText) };
+    };
+}
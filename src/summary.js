@@ -0,0 +1,136 @@
+// Rekrute.com jobs scraper - run statistics, RUN_SUMMARY and the live status message
+
+// Enough to see what went wrong without blowing up the record on a fully blocked run
+const MAX_FAILED_REQUESTS = 1000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const increment = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+};
+
+// { key: count } sorted by count, then key
+const sortCounts = (counts) => Object.fromEntries(
+    Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+);
+
+/**
+ * Counters of one run: pages fetched and their parse time, status codes,
+ * saved/skipped/failed jobs, new/updated/unchanged jobs, retries and failed requests. `stats` is live,
+ * buildSummary() gives the RUN_SUMMARY record.
+ */
+export function createRunStats({ now = Date.now } = {}) {
+    const startedAt = now();
+    const stats = {
+        pages: { listing: 0, detail: 0, other: 0 },
+        jobs: {
+            pushed: 0,
+            // why jobs found on listings were not saved
+            skipped: { limit: 0, duplicate: 0, date: 0, relevance: 0, unchanged: 0 },
+            // detail pages that failed every retry
+            failed: 0,
+            // records that didn't match the record schema, saved apart
+            invalid: 0,
+        },
+        retries: 0,
+        statusCodes: {},
+    };
+    const parseMs = { listing: 0, detail: 0 };
+    const jobsPerCompany = {};
+    const jobsPerCity = {};
+    const failedRequests = [];
+    // newJobsOnly: jobId -> 'new' | 'updated' | 'unchanged', the last status seen for the job
+    const changeStatuses = new Map();
+
+    const getChangeCounts = () => {
+        const counts = { new: 0, updated: 0, unchanged: 0 };
+        for (const status of changeStatuses.values()) counts[status] += 1;
+        return counts;
+    };
+
+    return {
+        stats,
+
+        /** A page that loaded and passed the block check ('listing', 'detail' or 'other'). */
+        page(type) {
+            stats.pages[type] += 1;
+        },
+
+        /** Runs `parse` and adds its duration to the parse time of `type` pages. */
+        timeParse(type, parse) {
+            const started = performance.now();
+            try {
+                return parse();
+            } finally {
+                parseMs[type] += performance.now() - started;
+            }
+        },
+
+        status(statusCode) {
+            increment(stats.statusCodes, statusCode ?? 'none');
+        },
+
+        retry() {
+            stats.retries += 1;
+        },
+
+        jobPushed({ company, location }) {
+            stats.jobs.pushed += 1;
+            increment(jobsPerCompany, company || '(unknown)');
+            increment(jobsPerCity, location || '(unknown)');
+        },
+
+        jobInvalid() {
+            stats.jobs.invalid += 1;
+        },
+
+        jobSkipped(reason, count = 1) {
+            stats.jobs.skipped[reason] += count;
+        },
+
+        /** How a job compares to previous runs (newJobsOnly), counted once per job. */
+        jobChange(jobId, status) {
+            changeStatuses.set(jobId, status);
+        },
+
+        getChangeCounts,
+
+        requestFailed({ url, label, error }) {
+            if (label === 'DETAIL') stats.jobs.failed += 1;
+            if (failedRequests.length < MAX_FAILED_REQUESTS) failedRequests.push({ url, label: label || null, error: error || null });
+        },
+
+        /** One line for the run's status message, refreshed while the crawl runs. */
+        getStatusMessage({ blocks = 0, concurrency = null } = {}) {
+            const { pages, jobs } = stats;
+            return `Running: ${jobs.pushed} jobs saved, ${pages.listing} listing and ${pages.detail} detail pages, `
+                + `${jobs.failed} failed, ${blocks} blocks${concurrency ? `, concurrency ${concurrency}` : ''}.`;
+        },
+
+        /**
+         * RUN_SUMMARY record. `extra` (status, blocks...) is merged in after the timings.
+         */
+        buildSummary(extra = {}) {
+            const finishedAt = now();
+            const avgParseMs = {};
+            for (const type of Object.keys(parseMs)) {
+                avgParseMs[type] = stats.pages[type] ? round(parseMs[type] / stats.pages[type]) : null;
+            }
+            return {
+                startedAt: new Date(startedAt).toISOString(),
+                finishedAt: new Date(finishedAt).toISOString(),
+                durationSecs: round((finishedAt - startedAt) / 1000),
+                ...extra,
+                pages: { ...stats.pages },
+                jobs: { ...stats.jobs, skipped: { ...stats.jobs.skipped } },
+                changes: getChangeCounts(),
+                retries: stats.retries,
+                statusCodes: sortCounts(stats.statusCodes),
+                avgParseMs,
+                jobsPerCompany: sortCounts(jobsPerCompany),
+                jobsPerCity: sortCounts(jobsPerCity),
+                failedRequests: [...failedRequests],
+            };
+        },
+    };
+}
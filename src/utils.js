@@ -0,0 +1,63 @@
+// Rekrute.com jobs scraper - shared URL and text helpers
+
+import { load as cheerioLoad } from 'cheerio';
+
+export function toPositiveInt(value, defaultValue, { min = 1, max = 100000 } = {}) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return defaultValue;
+    return Math.min(max, Math.max(min, Math.floor(n)));
+}
+
+export function toAbs(href, base) {
+    try {
+        return new URL(href, base).href;
+    } catch {
+        return null;
+    }
+}
+
+export function getJobIdFromUrl(url) {
+    const m = (url || '').match(/-(\d+)\.html$/);
+    return m ? m[1] : null;
+}
+
+/**
+ * Strict job-detail URL recognition.
+ */
+export function isDetailUrl(url) {
+    try {
+        const u = new URL(url);
+        const path = u.pathname || '';
+        return (
+            /\/offre-emploi[^/]*-\d+\.html$/i.test(path) ||
+            /\/job-offer[^/]*-\d+\.html$/i.test(path)
+        );
+    } catch {
+        return false;
+    }
+}
+
+export function cleanText(htmlOrText) {
+    if (!htmlOrText) return null;
+    const $ = cheerioLoad(`<div id="root">${htmlOrText}</div>`);
+    // keep block boundaries as line breaks, .text() would glue "end.Next" together
+    $('#root br').replaceWith('\n');
+    $('#root p, #root li, #root h1, #root h2, #root h3, #root h4, #root h5, #root h6, #root div').append('\n');
+    let text = $('#root').text();
+
+    if (!text) return null;
+
+    text = text
+        .replace(/\r\n|\r/g, '\n')
+        .replace(/\u00a0/g, ' ')
+        .replace(/\s+\n/g, '\n')
+        .replace(/\n\s+/g, '\n')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+
+    return text || null;
+}
+
+export function stripAccents(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
@@ -0,0 +1,144 @@
+// Rekrute.com jobs scraper - push saved jobs to an HTTP endpoint in signed batches
+
+import { createHmac, randomUUID } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { log } from 'apify';
+
+// Key prefix of undelivered batches in the webhook key-value store
+export const FAILED_BATCH_PREFIX = 'FAILED_BATCH_';
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * HMAC-SHA256 signature of a request body, sent as "X-Rekrute-Signature: sha256=<hex>".
+ * The receiver recomputes it over the raw body with the shared secret.
+ */
+export function signPayload(body, secret) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another attempt; other 4xx are not
+const isRetryable = (status) => status === null || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Batches saved jobs and POSTs them as JSON:
+ *   { batchId, createdAt, count, jobs: [...] }
+ * with X-Rekrute-Batch-Id (stable across redeliveries, for receiver-side dedupe)
+ * and, with a secret, X-Rekrute-Signature. Each batch is retried `maxRetries` times
+ * with exponential backoff; batches that still fail are saved to `store` under
+ * FAILED_BATCH_<batchId> and sent again by redeliver() on a later run.
+ * Batches go out one at a time, in order, without blocking add().
+ */
+export function createWebhookSender({
+    url,
+    headers = {},
+    batchSize = 50,
+    secret = '',
+    maxRetries = 3,
+    retryDelayMs = 1000,
+    store = null,
+}) {
+    let buffer = [];
+    let queue = Promise.resolve();
+    const stats = { sent: 0, jobsSent: 0, failed: 0, redelivered: 0 };
+
+    const post = async (payload) => {
+        const body = JSON.stringify(payload);
+        const requestHeaders = {
+            'Content-Type': 'application/json; charset=utf-8',
+            ...headers,
+            'X-Rekrute-Batch-Id': payload.batchId,
+        };
+        if (secret) requestHeaders['X-Rekrute-Signature'] = signPayload(body, secret);
+
+        for (let attempt = 0; ; attempt++) {
+            let status = null;
+            let reason;
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: requestHeaders,
+                    body,
+                    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+                });
+                status = response.status;
+                // drain the body so the connection can be reused
+                await response.arrayBuffer().catch(() => {});
+                if (response.ok) return true;
+                reason = `status ${status}`;
+            } catch (err) {
+                reason = err.message;
+            }
+
+            if (attempt >= maxRetries || !isRetryable(status)) {
+                log.warning(`Webhook batch ${payload.batchId} failed after ${attempt + 1} attempts (${reason}).`);
+                return false;
+            }
+            const delay = retryDelayMs * 2 ** attempt;
+            log.info(`Webhook batch ${payload.batchId}: ${reason}, retrying in ${delay} ms`);
+            await sleep(delay);
+        }
+    };
+
+    const send = async (jobs) => {
+        const payload = { batchId: randomUUID(), createdAt: new Date().toISOString(), count: jobs.length, jobs };
+        if (await post(payload)) {
+            stats.sent += 1;
+            stats.jobsSent += jobs.length;
+            return;
+        }
+        stats.failed += 1;
+        if (store) await store.setValue(`${FAILED_BATCH_PREFIX}${payload.batchId}`, payload);
+    };
+
+    const enqueue = (jobs) => {
+        queue = queue.then(() => send(jobs)).catch((err) => {
+            log.warning(`Webhook batch could not be handled: ${err.message}`);
+        });
+        return queue;
+    };
+
+    return {
+        stats,
+
+        /** Queue a saved job, sending a batch when `batchSize` jobs are waiting. */
+        add(job) {
+            buffer.push(job);
+            if (buffer.length >= batchSize) {
+                const jobs = buffer;
+                buffer = [];
+                enqueue(jobs);
+            }
+        },
+
+        /** Send the partial last batch and wait for every queued batch. */
+        async close() {
+            if (buffer.length) {
+                const jobs = buffer;
+                buffer = [];
+                enqueue(jobs);
+            }
+            await queue;
+            return stats;
+        },
+
+        /** Send batches that failed in earlier runs again; delivered ones are removed from the store. */
+        async redeliver() {
+            if (!store) return 0;
+            const keys = [];
+            await store.forEachKey((key) => {
+                if (key.startsWith(FAILED_BATCH_PREFIX)) keys.push(key);
+            });
+            for (const key of keys) {
+                const payload = await store.getValue(key);
+                if (!payload) continue;
+                if (await post(payload)) {
+                    await store.setValue(key, null);
+                    stats.redelivered += 1;
+                }
+            }
+            return keys.length;
+        },
+    };
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { extractJobDetail } from '../src/detail.js';
+import {
+    getAlternateLanguageUrl,
+    getUrlLanguage,
+    mergeLanguageVersions,
+    parseLanguages,
+} from '../src/bilingual.js';
+import { fixture } from './helpers.js';
+
+const FR_URL = 'https://www.rekrute.com/offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001.html';
+const EN_URL = 'https://www.rekrute.com/en/job-offer-data-analyst-recruitment-globex-casablanca-160010.html';
+
+test('parseLanguages keeps order and rejects unknown codes', () => {
+    assert.deepEqual(parseLanguages(['FR', 'en', 'fr']), ['fr', 'en']);
+    assert.deepEqual(parseLanguages([]), ['en']);
+    assert.deepEqual(parseLanguages('fr'), ['fr']);
+    assert.throws(() => parseLanguages(['fr', 'ar']), /Unknown languages: ar\. Valid values: fr, en\./);
+});
+
+test('alternate language URL from the URL pattern', () => {
+    assert.equal(getUrlLanguage(FR_URL), 'fr');
+    assert.equal(getUrlLanguage(EN_URL), 'en');
+
+    assert.equal(
+        getAlternateLanguageUrl(fixture('detail-fr.html'), FR_URL, 'en'),
+        'https://www.rekrute.com/en/job-offer-developpeur-full-stack-recruitment-acme-maroc-casablanca-155001.html',
+    );
+    assert.equal(
+        getAlternateLanguageUrl(fixture('detail-en.html'), EN_URL, 'fr'),
+        'https://www.rekrute.com/offre-emploi-data-analyst-recrutement-globex-casablanca-160010.html',
+    );
+    assert.equal(getAlternateLanguageUrl(fixture('detail-fr.html'), FR_URL, 'fr'), null);
+});
+
+test('alternate language URL prefers the page links to the same job', () => {
+    const $ = load(`<html><head>
+        <link rel="alternate" hreflang="en" href="/en/job-offer-full-stack-developer-recruitment-acme-155001.html">
+    </head><body>
+        <a href="/en/job-offer-other-job-recruitment-acme-155999.html">Other job</a>
+    </body></html>`);
+    assert.equal(
+        getAlternateLanguageUrl($, FR_URL, 'en'),
+        'https://www.rekrute.com/en/job-offer-full-stack-developer-recruitment-acme-155001.html',
+    );
+
+    const $switcher = load('<a href="/offre-emploi-analyste-de-donnees-recrutement-globex-160010.html">FR</a>');
+    assert.equal(
+        getAlternateLanguageUrl($switcher, EN_URL, 'fr'),
+        'https://www.rekrute.com/offre-emploi-analyste-de-donnees-recrutement-globex-160010.html',
+    );
+});
+
+test('mergeLanguageVersions keeps the first language as base and adds both versions', () => {
+    const fr = extractJobDetail(fixture('detail-fr.html'), FR_URL);
+    const en = extractJobDetail(fixture('detail-en.html'), EN_URL);
+
+    const merged = mergeLanguageVersions({ en, fr }, ['fr', 'en']);
+
+    assert.equal(merged.url, FR_URL);
+    assert.equal(merged.title, fr.title);
+    assert.equal(merged.title_fr, 'Développeur Full Stack');
+    assert.equal(merged.title_en, en.title);
+    assert.equal(merged.description_fr, fr.descriptionText);
+    assert.equal(merged.description_en, en.descriptionText);
+    assert.deepEqual(merged.languagesAvailable, ['fr', 'en']);
+});
+
+test('mergeLanguageVersions falls back to the only version found', () => {
+    const en = extractJobDetail(fixture('detail-en.html'), EN_URL);
+
+    const merged = mergeLanguageVersions({ fr: null, en }, ['fr', 'en']);
+
+    assert.equal(merged.url, EN_URL);
+    assert.equal(merged.title_fr, null);
+    assert.equal(merged.description_fr, null);
+    assert.equal(merged.title_en, en.title);
+    assert.deepEqual(merged.languagesAvailable, ['en']);
+    assert.equal(mergeLanguageVersions({}, ['fr', 'en']), null);
+});
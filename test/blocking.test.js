@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { createBlockGuard, detectBlock, getBlockReason } from '../src/blocking.js';
+import { readFixture } from './helpers.js';
+
+const page = (html) => ({ statusCode: 200, body: html, $: load(html) });
+const padded = (html) => html.replace('</body>', `<p>${'x'.repeat(600)}</p></body>`);
+
+test('real pages are not blocks, even when they say "forbidden" or "captcha"', () => {
+    assert.equal(detectBlock({ ...page(readFixture('listing-fr.html')), isListing: true }), null);
+    assert.equal(detectBlock(page(readFixture('detail-fr.html'))), null);
+
+    const html = padded('<html><body><h1>Agent de sécurité</h1>'
+        + '<p>Accès forbidden aux personnes non autorisées, portes blocked, contrôle captcha des visiteurs.</p></body></html>');
+    assert.equal(detectBlock(page(html)), null);
+});
+
+test('block status codes and empty responses', () => {
+    assert.equal(detectBlock({ statusCode: 429, body: '' }), 'status 429');
+    assert.equal(detectBlock({ statusCode: 403, body: readFixture('detail-fr.html') }), 'status 403');
+    assert.equal(detectBlock(page('<html><body></body></html>')), 'empty response (26 bytes)');
+    // a short 404 is an expired job, not a block
+    assert.equal(detectBlock({ statusCode: 404, body: 'Not found' }), null);
+});
+
+test('challenge pages and listings without a job list', () => {
+    const challenge = padded('<html><head><title>Just a moment...</title></head><body><h1>www.rekrute.com</h1></body></html>');
+    assert.equal(detectBlock(page(challenge)), 'challenge page');
+
+    const captcha = padded('<html><body><form><div class="g-recaptcha" data-sitekey="x"></div></form></body></html>');
+    assert.equal(detectBlock(page(captcha)), 'captcha page');
+
+    const bare = padded('<html><body><div class="container">Bienvenue</div></body></html>');
+    assert.equal(detectBlock({ ...page(bare), isListing: true }), 'listing without job list');
+    assert.equal(detectBlock(page(bare)), null);
+
+    const noResults = padded('<html><body><p>Aucune offre ne correspond à votre recherche.</p></body></html>');
+    assert.equal(detectBlock({ ...page(noResults), isListing: true }), null);
+});
+
+test('getBlockReason reads our errors and Crawlee\'s', () => {
+    assert.equal(getBlockReason(new Error('Blocked by target site (challenge page)')), 'challenge page');
+    assert.equal(getBlockReason(new Error('Request blocked - received 403 status code.')), 'status 403');
+    assert.equal(getBlockReason(new Error('503 - Internal Server Error: <html>')), 'status 503');
+    assert.equal(getBlockReason(new Error('500 - Internal Server Error: <html>')), null);
+    assert.equal(getBlockReason(new Error('request timed out after 30 seconds.')), null);
+});
+
+test('block guard backs off exponentially and recovers slowly', () => {
+    let clock = 0;
+    const guard = createBlockGuard({ maxConcurrency: 20, maxConsecutiveBlocks: 4, recoverAfter: 2, now: () => clock });
+
+    assert.deepEqual(guard.onBlock('status 429'), { concurrency: 10, delayMs: 5000, gaveUp: false });
+    // requests already in flight during the cooldown don't escalate it
+    assert.deepEqual(guard.onBlock('status 429'), { concurrency: 10, delayMs: 0, gaveUp: false });
+    assert.equal(guard.getCooldownMs(), 5000);
+
+    clock = 5000;
+    assert.equal(guard.getCooldownMs(), 0);
+    assert.deepEqual(guard.onBlock('challenge page'), { concurrency: 5, delayMs: 10000, gaveUp: false });
+
+    clock = 15000;
+    assert.equal(guard.onSuccess(), 5);
+    assert.equal(guard.onSuccess(), 6);
+    assert.deepEqual(guard.stats, { blocks: 3, backoffs: 2, reasons: { 'status 429': 2, 'challenge page': 1 } });
+
+    // a success resets the escalation
+    assert.equal(guard.onBlock('status 403').delayMs, 5000);
+});
+
+test('block guard gives up after maxConsecutiveBlocks', () => {
+    let clock = 0;
+    const guard = createBlockGuard({ maxConcurrency: 4, maxConsecutiveBlocks: 3, maxDelayMs: 8000, now: () => clock });
+
+    const delays = [];
+    for (let i = 0; i < 3; i++) {
+        const { delayMs } = guard.onBlock('status 403');
+        delays.push(delayMs);
+        clock += delayMs;
+    }
+    assert.deepEqual(delays, [5000, 8000, 8000]);
+    assert.equal(guard.concurrency, 1);
+    assert.equal(guard.gaveUp, true);
+});
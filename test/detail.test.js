@@ -0,0 +1,267 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import {
+    extractFromJsonLd,
+    extractJobDetail,
+    getDatePosted,
+    parseTitleCompanyLocation,
+} from '../src/detail.js';
+import { getDescriptionHtml, getDescriptionSections, htmlToMarkdown } from '../src/description.js';
+import { parseCompanyPage } from '../src/company.js';
+import { fixture } from './helpers.js';
+
+const FR_URL = 'https://www.rekrute.com/offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001.html';
+const JSONLD_URL = 'https://www.rekrute.com/offre-emploi-comptable-senior-recrutement-banque-atlas-rabat-155002.html';
+const EN_URL = 'https://www.rekrute.com/en/job-offer-data-analyst-recruitment-globex-casablanca-160010.html';
+
+// scrapedAt changes every run, descriptionHtml is checked separately
+const stable = ({ scrapedAt, descriptionHtml, ...rest }) => rest;
+
+test('extractJobDetail: FR page without JSON-LD', () => {
+    const record = extractJobDetail(fixture('detail-fr.html'), FR_URL, { sourceUrl: 'https://www.rekrute.com/offres.html' });
+
+    assert.deepEqual(stable(record), {
+        url: FR_URL,
+        sourceUrl: 'https://www.rekrute.com/offres.html',
+        jobId: '155001',
+        title: 'Développeur Full Stack',
+        company: 'Acme Maroc',
+        companyId: 'acme-maroc',
+        companyUrl: 'https://www.rekrute.com/acme-maroc-emploi-recrutement.html',
+        companyLogoUrl: 'https://www.rekrute.com/upload/logo/acme.png',
+        datePosted: '12/03/2024',
+        datePostedIso: '2024-03-12',
+        validThrough: null,
+        validThroughIso: null,
+        descriptionText: [
+            'Entreprise :',
+            'Acme Maroc est un acteur majeur du numérique au Maroc, avec plus de 300 collaborateurs répartis entre Casablanca et Rabat.',
+            'Poste :',
+            "Au sein de l'équipe produit, vous participerez à la conception et au développement de nos applications web.",
+            'Développer de nouvelles fonctionnalités',
+            'Participer aux revues de code',
+            'Profil recherché :',
+            'Maîtrise de Java et de JavaScript',
+            'Anglais courant',
+        ].join('\n'),
+        descriptionMarkdown: [
+            '## Entreprise :',
+            'Acme Maroc est un acteur majeur du numérique au Maroc, avec plus de 300 collaborateurs répartis entre Casablanca et Rabat.',
+            '## Poste :',
+            "Au sein de l'équipe produit, vous participerez à la conception et au développement de nos applications web.",
+            '- Développer de nouvelles fonctionnalités\n- Participer aux revues de code',
+            '## Profil recherché :',
+            '- Maîtrise de Java et de JavaScript\n- Anglais courant',
+        ].join('\n\n'),
+        descriptionSections: [
+            {
+                label: 'company',
+                heading: 'Entreprise',
+                markdown: 'Acme Maroc est un acteur majeur du numérique au Maroc, avec plus de 300 collaborateurs répartis entre Casablanca et Rabat.',
+            },
+            {
+                label: 'position',
+                heading: 'Poste',
+                markdown: "Au sein de l'équipe produit, vous participerez à la conception et au développement de nos applications web.\n\n"
+                    + '- Développer de nouvelles fonctionnalités\n- Participer aux revues de code',
+            },
+            {
+                label: 'profile',
+                heading: 'Profil recherché',
+                markdown: '- Maîtrise de Java et de JavaScript\n- Anglais courant',
+            },
+        ],
+        employmentType: 'CDI',
+        employmentTypeSource: 'li',
+        contractType: 'CDI',
+        workingTime: null,
+        salary: '15 000 - 20 000 DH par mois',
+        salaryMin: 15000,
+        salaryMax: 20000,
+        currency: 'MAD',
+        period: 'month',
+        isNegotiable: false,
+        location: 'Casablanca',
+        experience: 'De 3 à 5 ans',
+        experienceMinYears: 3,
+        experienceMaxYears: 5,
+        educationLevel: 'Bac +5 et plus',
+        sector: 'Informatique',
+        jobFunction: 'Informatique',
+        telework: 'Hybride',
+        positionsCount: 2,
+        language: 'fr',
+        rawJsonLd: null,
+        _extraction: {
+            title: 'h1',
+            company: 'h1',
+            companyUrl: 'companyLink',
+            companyLogoUrl: 'logoImg',
+            datePosted: 'frLabel',
+            validThrough: null,
+            descriptionHtml: 'structuredBlocks',
+            descriptionSections: 'structuredBlocks',
+            employmentType: 'li',
+            salary: 'header',
+            salaryMin: 'salaryText',
+            salaryMax: 'salaryText',
+            location: 'h1',
+            experience: 'featureLines',
+            educationLevel: 'featureLines',
+            sector: 'featureLines',
+            jobFunction: 'featureLines',
+            telework: 'featureLines',
+            positionsCount: 'featureLines',
+        },
+        changeStatus: null,
+    });
+    assert.match(record.scrapedAt, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('extractJobDetail: JSON-LD takes priority over page markup', () => {
+    const record = extractJobDetail(fixture('detail-fr-jsonld.html'), JSONLD_URL);
+
+    assert.equal(record.title, 'Comptable Senior');
+    assert.equal(record.company, 'Banque Atlas');
+    assert.equal(record.companyId, 'banque-atlas');
+    assert.equal(record.companyLogoUrl, 'https://www.rekrute.com/upload/logo/atlas.png');
+    assert.equal(record.location, 'Rabat');
+    assert.equal(record.datePosted, '2024-03-15T09:00:00+01:00');
+    assert.equal(record.datePostedIso, '2024-03-15');
+    assert.equal(record.validThroughIso, '2024-05-15');
+    assert.equal(record.employmentType, 'FULL_TIME');
+    assert.equal(record.employmentTypeSource, 'jsonLd');
+    assert.equal(record.workingTime, 'FULL_TIME');
+    assert.equal(record.salary, '12000 - 15000 MAD');
+    assert.deepEqual(
+        [record.salaryMin, record.salaryMax, record.currency, record.period],
+        [12000, 15000, 'MAD', 'month'],
+    );
+    assert.equal(
+        record.descriptionText,
+        'Banque Atlas recrute un comptable senior pour son siège de Rabat.\nTenue de la comptabilité générale\nClôtures mensuelles',
+    );
+    assert.equal(record.experienceMinYears, 10);
+    assert.equal(record.experienceMaxYears, null);
+    assert.equal(JSON.parse(record.rawJsonLd)['@type'], 'JobPosting');
+    for (const field of ['title', 'company', 'companyUrl', 'datePosted', 'descriptionHtml', 'salary', 'salaryMin', 'location']) {
+        assert.equal(record._extraction[field], 'jsonLd', field);
+    }
+    assert.equal(record._extraction.sector, null);
+});
+
+test('extractJobDetail: EN page with heading-based description', () => {
+    const record = extractJobDetail(fixture('detail-en.html'), EN_URL);
+
+    assert.equal(record.title, 'Data Analyst');
+    assert.equal(record.company, 'Globex');
+    // no location on the page: taken from the URL slug
+    assert.equal(record.location, 'Casablanca');
+    assert.equal(record._extraction.location, 'urlSlug');
+    assert.equal(record.datePosted, 'March 20, 2024');
+    assert.equal(record._extraction.datePosted, 'enLabel');
+    assert.equal(record._extraction.descriptionHtml, 'headings');
+    assert.equal(record.datePostedIso, '2024-03-20');
+    assert.equal(record.contractType, 'STAGE');
+    assert.equal(record.telework, 'Yes');
+    assert.equal(record.language, 'en');
+    assert.equal(
+        record.descriptionHtml,
+        '<p>Globex is looking for a data analyst to join its analytics team in Casablanca and build dashboards for the business.</p>'
+            + '<p>Strong SQL and Python skills, fluent English.</p>',
+    );
+});
+
+test('extractFromJsonLd finds JobPosting inside @graph and returns null without JSON-LD', () => {
+    const jsonLd = extractFromJsonLd(fixture('detail-fr-jsonld.html'));
+    assert.equal(jsonLd.title, 'Comptable Senior');
+    assert.deepEqual(jsonLd.baseSalary, { salaryMin: 12000, salaryMax: 15000, currency: 'MAD', period: 'month' });
+
+    assert.equal(extractFromJsonLd(fixture('detail-fr.html')), null);
+});
+
+test('parseTitleCompanyLocation splits the h1', () => {
+    assert.deepEqual(parseTitleCompanyLocation(fixture('detail-fr.html')), {
+        title: 'Développeur Full Stack',
+        company: 'Acme Maroc',
+        location: 'Casablanca',
+        sources: { title: 'h1', company: 'h1', location: 'h1' },
+    });
+});
+
+test('getDescriptionHtml keeps every structured section', () => {
+    const { html, source } = getDescriptionHtml(fixture('detail-fr.html'));
+
+    assert.equal(source, 'structuredBlocks');
+    assert.match(html, /<h2>Entreprise :<\/h2>/);
+    assert.match(html, /<h2>Poste :<\/h2>/);
+    assert.match(html, /<h2>Profil recherché :<\/h2>/);
+    assert.doesNotMatch(html, /Mentions légales/);
+});
+
+test('htmlToMarkdown keeps headings, lists, emphasis, links and line breaks', () => {
+    const html = '<h3>Missions</h3><p>Rejoignez <strong>Acme</strong> (<a href="https://acme.ma">site</a>)<br>à Casablanca</p>'
+        + '<ol><li>Analyser <em>les besoins</em><ul><li>métier</li><li>technique</li></ul></li><li>Livrer</li></ol>'
+        + '<ul><li>Taux_horaire *négociable*</li></ul>';
+
+    assert.equal(htmlToMarkdown(html), [
+        '### Missions',
+        'Rejoignez **Acme** ([site](https://acme.ma))  \nà Casablanca',
+        '1. Analyser _les besoins_\n   - métier\n   - technique\n2. Livrer',
+        '- Taux\\_horaire \\*négociable\\*',
+    ].join('\n\n'));
+    assert.equal(htmlToMarkdown(null), null);
+});
+
+test('getDescriptionSections cuts descriptions without Rekrute blocks at their headings', () => {
+    const html = '<p>Globex, leader du retail.</p><h2>Description du poste</h2><p>Piloter les ventes.</p>'
+        + '<h2>Profil</h2><ul><li>5 ans</li></ul><h2>Nous offrons</h2><p>Mutuelle</p>';
+
+    const { sections, source } = getDescriptionSections(load('<html><body></body></html>'), html);
+
+    assert.equal(source, 'descriptionHtml');
+    assert.deepEqual(sections, [
+        { label: 'company', heading: null, markdown: 'Globex, leader du retail.' },
+        { label: 'position', heading: 'Description du poste', markdown: 'Piloter les ventes.' },
+        { label: 'profile', heading: 'Profil', markdown: '- 5 ans' },
+        { label: 'advantages', heading: 'Nous offrons', markdown: 'Mutuelle' },
+    ]);
+});
+
+test('getDatePosted ignores unrelated dates on the page', () => {
+    const $ = load('<body><p>Créée en 01/01/1999</p><footer>© 02/02/2020</footer></body>');
+    assert.deepEqual(getDatePosted($), { value: null, source: null });
+});
+
+test('parseCompanyPage reads the company profile', () => {
+    const $ = load(`
+        <html><head><meta name="description" content="Acme Maroc, leader du numérique."></head>
+        <body>
+            <h1>Acme Maroc</h1>
+            <img class="photo" src="/upload/logo/acme.png">
+            <ul>
+                <li>Secteur d'activité : Informatique</li>
+                <li>Taille : 200 à 500 employés</li>
+                <li>Site web : <a href="https://acme.ma">acme.ma</a></li>
+            </ul>
+        </body></html>`);
+    const profile = parseCompanyPage($, 'https://www.rekrute.com/acme-maroc-emploi-recrutement.html');
+
+    assert.equal(profile.companyId, 'acme-maroc');
+    assert.equal(profile.name, 'Acme Maroc');
+    assert.equal(profile.logoUrl, 'https://www.rekrute.com/upload/logo/acme.png');
+    assert.equal(profile.sector, 'Informatique');
+    assert.equal(profile.size, '200 à 500 employés');
+    assert.equal(profile.website, 'https://acme.ma');
+    assert.equal(profile.description, 'Acme Maroc, leader du numérique.');
+});
+
+test('parseCompanyPage returns null for pages without a company profile', () => {
+    const url = 'https://www.rekrute.com/acme-maroc-emploi-recrutement.html';
+    assert.equal(parseCompanyPage(load('<html><body><h1>Snapshot not found</h1></body></html>'), url), null);
+    assert.equal(parseCompanyPage(load(`
+        <html><head><meta name="description" content="Offres d'emploi au Maroc"></head>
+        <body><div class="logo"><img src="/img/rekrute.png"></div><h1>Page introuvable</h1></body></html>`), url), null);
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateRawSync } from 'node:zlib';
+
+import { extractJobDetail } from '../src/detail.js';
+import {
+    EXPORT_COLUMNS,
+    buildExport,
+    toCsv,
+    toJobPosting,
+    toJobPostingFeed,
+    toJsonLines,
+    toXlsx,
+} from '../src/exporters.js';
+import { fixture } from './helpers.js';
+
+const FR_URL = 'https://www.rekrute.com/offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001.html';
+
+// Files of a zip archive, read from its local headers
+function unzip(buffer) {
+    const files = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        files[name] = inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+        offset = start + size;
+    }
+    return files;
+}
+
+test('CSV has a stable header and quotes commas, quotes and newlines', () => {
+    const csv = toCsv([
+        { title: 'Chef de projet, "Digital"', company: 'Acme', searches: ['a', 'b'], salaryMin: 8000, extra: 'x' },
+        { jobId: '2', descriptionText: 'line 1\nline 2' },
+    ]);
+    const lines = csv.replace(/^\ufeff/, '').split('\r\n');
+
+    assert.ok(csv.startsWith('\ufeff'));
+    assert.equal(lines[0], EXPORT_COLUMNS.join(','));
+    const row = lines[1].split(',');
+    assert.ok(lines[1].includes('"Chef de projet, ""Digital"""'));
+    assert.equal(row[EXPORT_COLUMNS.indexOf('jobId')], '');
+    assert.ok(lines[1].includes(',a; b,'));
+    assert.ok(lines[1].includes(',8000,'));
+    assert.ok(!lines[1].includes('x'));
+    assert.ok(csv.includes('"line 1\nline 2"'));
+});
+
+test('JSON Lines has one record per line', () => {
+    const jsonl = toJsonLines([{ jobId: '1' }, { jobId: '2', title: 'a\nb' }]);
+    assert.deepEqual(jsonl.trimEnd().split('\n').map((line) => JSON.parse(line)), [{ jobId: '1' }, { jobId: '2', title: 'a\nb' }]);
+    assert.equal(toJsonLines([]), '');
+});
+
+test('XLSX is a zip with a worksheet of inline strings and numbers', () => {
+    const xlsx = toXlsx([{ jobId: '155001', title: 'R&D <Ingénieur>', salaryMin: 12000, isNegotiable: false }]);
+    const files = unzip(xlsx);
+
+    assert.deepEqual(Object.keys(files), [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml',
+    ]);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.ok(sheet.includes('<c r="A1" t="inlineStr"><is><t xml:space="preserve">jobId</t></is></c>'));
+    assert.ok(sheet.includes('<c r="A2" t="inlineStr"><is><t xml:space="preserve">155001</t></is></c>'));
+    assert.ok(sheet.includes('R&amp;D &lt;Ingénieur&gt;'));
+    const salaryCell = `${String.fromCharCode(65 + EXPORT_COLUMNS.indexOf('salaryMin'))}2`;
+    assert.ok(sheet.includes(`<c r="${salaryCell}"><v>12000</v></c>`));
+    assert.ok(sheet.includes('<v>0</v>'));
+    // CRC-32 of the static [Content_Types].xml, as written in the first local header
+    assert.equal(xlsx.readUInt32LE(14), 0x0db8616e);
+    // end of central directory, 5 entries
+    assert.equal(xlsx.readUInt32LE(xlsx.length - 22), 0x06054b50);
+    assert.equal(xlsx.readUInt16LE(xlsx.length - 12), 5);
+});
+
+test('JobPosting is rebuilt from normalized fields of a page without JSON-LD', () => {
+    const record = extractJobDetail(fixture('detail-fr.html'), FR_URL);
+    assert.equal(record.rawJsonLd, null);
+
+    const posting = toJobPosting(record);
+
+    assert.equal(posting['@type'], 'JobPosting');
+    assert.equal(posting.title, 'Développeur Full Stack');
+    assert.equal(posting.datePosted, '2024-03-12');
+    assert.equal(posting.url, FR_URL);
+    assert.deepEqual(posting.identifier, { '@type': 'PropertyValue', name: 'Rekrute', value: '155001' });
+    assert.deepEqual(posting.hiringOrganization, {
+        '@type': 'Organization',
+        name: 'Acme Maroc',
+        sameAs: 'https://www.rekrute.com/acme-maroc-emploi-recrutement.html',
+        logo: 'https://www.rekrute.com/upload/logo/acme.png',
+    });
+    assert.equal(posting.jobLocation['@type'], 'Place');
+    assert.equal(posting.jobLocation.address.addressCountry, 'MA');
+    assert.equal(posting.jobLocation.address.addressLocality, 'Casablanca');
+    assert.ok(posting.description.length > 0);
+    // no empty values
+    for (const value of Object.values(posting)) assert.ok(value !== null && value !== undefined && value !== '');
+});
+
+test('JobPosting maps contract, salary and experience to schema.org values', () => {
+    const posting = toJobPosting({
+        jobId: '1',
+        title: 'Stagiaire comptable',
+        location: 'Rabat (Maroc)',
+        contractType: 'STAGE',
+        workingTime: 'FULL_TIME',
+        salaryMin: 3000,
+        salaryMax: 4000,
+        currency: 'MAD',
+        period: 'month',
+        experienceMinYears: 2,
+    });
+
+    assert.equal(posting.description, 'Stagiaire comptable');
+    assert.deepEqual(posting.employmentType, ['FULL_TIME', 'INTERN']);
+    assert.equal(posting.jobLocation.address.addressLocality, 'Rabat');
+    assert.deepEqual(posting.baseSalary, {
+        '@type': 'MonetaryAmount',
+        currency: 'MAD',
+        value: { '@type': 'QuantitativeValue', minValue: 3000, maxValue: 4000, unitText: 'MONTH' },
+    });
+    assert.deepEqual(posting.experienceRequirements, {
+        '@type': 'OccupationalExperienceRequirements',
+        monthsOfExperience: 24,
+    });
+    assert.equal(posting.hiringOrganization, undefined);
+});
+
+test('JobPosting feed is a JSON-LD @graph', () => {
+    const feed = toJobPostingFeed([{ title: 'A' }, { title: 'B' }]);
+    assert.equal(feed['@context'], 'https://schema.org');
+    assert.deepEqual(feed['@graph'].map((p) => p.title), ['A', 'B']);
+    assert.deepEqual(JSON.parse(buildExport('jobposting', [{ title: 'A' }])), toJobPostingFeed([{ title: 'A' }]));
+    assert.throws(() => buildExport('pdf', []), /Unknown output format "pdf"/);
+});
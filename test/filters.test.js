@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { mergeFilterOptions, parseFilterOptions, resolveFilterOption } from '../src/filters.js';
+import { buildSearches } from '../src/searches.js';
+import { fixture } from './helpers.js';
+
+const options = mergeFilterOptions([
+    parseFilterOptions(fixture('listing-fr.html'), 'https://www.rekrute.com/offres.html'),
+    parseFilterOptions(fixture('listing-en-select.html'), 'https://www.rekrute.com/en/offres.html'),
+]);
+
+test('parseFilterOptions reads checkboxes, selects and links of the filter panel', () => {
+    const fr = parseFilterOptions(fixture('listing-fr.html'));
+
+    assert.deepEqual(fr.location.find((o) => o.value === '8'), { param: 'cityId[]', value: '8', labels: ['Fès'] });
+    assert.deepEqual(fr.location.find((o) => o.value === '5'), { param: 'regionId[]', value: '5', labels: ['Casablanca-Settat'] });
+    assert.deepEqual(fr.category.find((o) => o.param === 'sectorId[]' && o.value === '24').labels, ['Informatique']);
+    // filter link of the panel
+    assert.deepEqual(fr.category.find((o) => o.param === 'positionId'), { param: 'positionId', value: '2', labels: ['Commercial'] });
+    // "All regions" has no value
+    assert.equal(fr.location.some((o) => o.value === ''), false);
+    // job cards are not part of the panel
+    assert.equal(parseFilterOptions(load('<ul><li><input type="checkbox" name="cityId[]" value="1"> X</li></ul>')).location.length, 0);
+});
+
+test('mergeFilterOptions keeps FR and EN labels together', () => {
+    assert.deepEqual(options.location.find((o) => o.value === '9').labels, ['Tanger', 'Tangier']);
+    assert.deepEqual(options.category.find((o) => o.param === 'sectorId[]' && o.value === '24').labels, ['Informatique', 'IT / Computing']);
+});
+
+test('resolveFilterOption matches case- and accent-insensitively in FR and EN', () => {
+    assert.equal(resolveFilterOption(options, 'location', 'CASABLANCA').value, '3');
+    assert.equal(resolveFilterOption(options, 'location', 'fes').value, '8');
+    assert.equal(resolveFilterOption(options, 'location', 'Fez').value, '8');
+    assert.equal(resolveFilterOption(options, 'location', 'rabat sale kenitra').value, '6');
+    assert.equal(resolveFilterOption(options, 'location', 'Tang').value, '9');
+    assert.equal(resolveFilterOption(options, 'category', 'it/computing').value, '24');
+    assert.equal(resolveFilterOption(options, 'category', ''), null);
+});
+
+test('resolveFilterOption fails with the valid values', () => {
+    assert.throws(
+        () => resolveFilterOption(options, 'location', 'Marseille'),
+        /Unknown location "Marseille"\. Valid values: Casablanca, Rabat, Fès \(Fez\), Tanger \(Tangier\), /,
+    );
+    assert.throws(
+        () => resolveFilterOption(options, 'location', 'Casa'),
+        /Unknown location "Casa" \(ambiguous\)\. Valid values: Casablanca, Casablanca-Settat\./,
+    );
+});
+
+test('buildSearches sends resolved filter IDs instead of free text', () => {
+    const [search] = buildSearches({ keyword: 'java', location: 'casablanca', category: 'Informatique' }, { filterOptions: options });
+    const url = new URL(search.startUrl);
+
+    assert.equal(url.searchParams.get('cityId[]'), '3');
+    assert.equal(url.searchParams.get('sectorId[]'), '24');
+    assert.equal(url.searchParams.has('jobLocation'), false);
+    assert.equal(url.searchParams.has('category'), false);
+    assert.deepEqual(search.filters, [
+        { param: 'cityId[]', value: '3', label: 'Casablanca' },
+        { param: 'sectorId[]', value: '24', label: 'Informatique' },
+    ]);
+
+    assert.throws(() => buildSearches({ location: 'Paris' }, { filterOptions: options }), /Unknown location "Paris"/);
+});
+
+test('a filter kind without options on Rekrute is sent as free text', () => {
+    const locationsOnly = { location: options.location, category: [] };
+    assert.equal(resolveFilterOption(locationsOnly, 'category', 'Informatique'), null);
+
+    const [search] = buildSearches({ location: 'Fez', category: 'Informatique' }, { filterOptions: locationsOnly });
+    const url = new URL(search.startUrl);
+    assert.equal(url.searchParams.get('cityId[]'), '8');
+    assert.equal(url.searchParams.get('category'), 'Informatique');
+    assert.deepEqual(search.filters, [{ param: 'cityId[]', value: '8', label: 'Fès' }]);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createExtractionStats } from '../src/health.js';
+
+test('EXTRACTION_REPORT has fill rates per field and per strategy', () => {
+    const stats = createExtractionStats();
+    stats.add({ title: 'jsonLd', location: 'h1', salary: null });
+    stats.add({ title: 'h1', location: 'urlSlug', salary: 'li' });
+    stats.add({ title: 'h1', location: null, salary: null });
+    stats.add({ title: 'h1', location: 'h1', salary: null });
+
+    const report = stats.buildReport({ threshold: 0.8 });
+
+    assert.equal(report.records, 4);
+    assert.deepEqual(report.fields.title, { filled: 4, fillRate: 1, strategies: { jsonLd: 1, h1: 3 } });
+    assert.deepEqual(report.fields.location, { filled: 3, fillRate: 0.75, strategies: { h1: 2, urlSlug: 1 } });
+    assert.deepEqual(report.fields.salary, { filled: 1, fillRate: 0.25, strategies: { li: 1 } });
+    assert.equal(report.primaryHitRates.title, 1);
+    assert.equal(report.primaryHitRates.location, 0.5);
+    // fields no record carries are left out
+    assert.equal(report.primaryHitRates.descriptionHtml, undefined);
+    // too few records to call it drift
+    assert.deepEqual(report.warnings, []);
+});
+
+test('EXTRACTION_REPORT warns when a primary strategy hit rate drops below the threshold', () => {
+    const stats = createExtractionStats();
+    for (let i = 0; i < 20; i++) {
+        stats.add({
+            title: 'h1',
+            // markup changed: the structured blocks are gone for most pages
+            descriptionHtml: i < 5 ? 'structuredBlocks' : 'densestBlock',
+        });
+    }
+
+    const { warnings, primaryHitRates } = stats.buildReport({ threshold: 0.8 });
+
+    assert.equal(primaryHitRates.descriptionHtml, 0.25);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^descriptionHtml: .* 25\.0% of 20 records, below 80%/);
+});
@@ -0,0 +1,10 @@
+import { readFileSync } from 'node:fs';
+import { load } from 'cheerio';
+
+export const fixturePath = (name) => new URL(`./fixtures/${name}`, import.meta.url);
+
+/** Raw HTML of a saved page in test/fixtures. */
+export const readFixture = (name) => readFileSync(fixturePath(name), 'utf8');
+
+/** Saved page in test/fixtures, loaded with cheerio. */
+export const fixture = (name) => load(readFixture(name));
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildStartUrl,
+    cardToRecord,
+    findJobLinks,
+    findListingDates,
+    findNextPage,
+    parseListingCards,
+} from '../src/listing.js';
+import { fixture } from './helpers.js';
+
+const FR_LISTING_URL = 'https://www.rekrute.com/offres.html?s=1&p=1&o=1&keyword=developpeur';
+const EN_LISTING_URL = 'https://www.rekrute.com/en/offres.html?s=1&p=2&o=1';
+
+test('findJobLinks returns absolute detail URLs from listing cards', () => {
+    assert.deepEqual(findJobLinks(fixture('listing-fr.html'), FR_LISTING_URL), [
+        'https://www.rekrute.com/offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001.html',
+        'https://www.rekrute.com/offre-emploi-charge-de-clientele-recrutement-banque-atlas-rabat-155002.html',
+        'https://www.rekrute.com/offre-emploi-stagiaire-logistique-recrutement-sud-logistique-tanger-155003.html',
+    ]);
+    assert.deepEqual(findJobLinks(fixture('listing-en-select.html'), EN_LISTING_URL), [
+        'https://www.rekrute.com/en/job-offer-data-analyst-recruitment-globex-casablanca-160010.html',
+        'https://www.rekrute.com/en/job-offer-sales-engineer-recruitment-initech-rabat-160011.html',
+    ]);
+});
+
+test('parseListingCards reads title, company, city, contract and dates from FR cards', () => {
+    const cards = parseListingCards(fixture('listing-fr.html'), FR_LISTING_URL);
+
+    assert.equal(cards.length, 3);
+    assert.deepEqual(cards[0], {
+        url: 'https://www.rekrute.com/offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001.html',
+        jobId: '155001',
+        title: 'Développeur Full Stack',
+        company: 'Acme Maroc',
+        datePosted: '12/03/2024',
+        validThrough: '11/05/2024',
+        employmentType: 'CDI',
+        location: 'Casablanca (Maroc)',
+        companyId: 'acme-maroc',
+        companyUrl: 'https://www.rekrute.com/acme-maroc-emploi-recrutement.html',
+        companyLogoUrl: 'https://www.rekrute.com/upload/logo/acme.png',
+        experience: 'De 3 à 5 ans',
+        experienceMinYears: 3,
+        experienceMaxYears: 5,
+        educationLevel: 'Bac +5 et plus',
+        sector: 'Informatique',
+        jobFunction: 'Informatique',
+        telework: 'Hybride',
+        positionsCount: 2,
+    });
+    assert.equal(cards[1].experienceMinYears, 0);
+    assert.equal(cards[1].experienceMaxYears, 1);
+    // logo without a company page link
+    assert.equal(cards[2].companyId, null);
+    assert.equal(cards[2].companyLogoUrl, 'https://www.rekrute.com/upload/logo/sud.png');
+});
+
+test('parseListingCards handles EN cards and cards with missing details', () => {
+    const [full, bare] = parseListingCards(fixture('listing-en-select.html'), EN_LISTING_URL);
+
+    assert.equal(full.title, 'Data Analyst');
+    assert.equal(full.company, 'Globex');
+    assert.equal(full.location, 'Casablanca (Morocco)');
+    assert.equal(full.employmentType, 'Permanent contract');
+    assert.equal(full.sector, 'IT');
+    assert.equal(full.positionsCount, 1);
+
+    assert.equal(bare.title, 'Sales Engineer');
+    assert.equal(bare.company, null);
+    assert.equal(bare.datePosted, null);
+});
+
+test('findListingDates maps job URLs to publication dates', () => {
+    const dates = findListingDates(fixture('listing-fr.html'), FR_LISTING_URL);
+
+    assert.equal(dates.size, 3);
+    assert.equal(
+        dates.get('https://www.rekrute.com/offre-emploi-stagiaire-logistique-recrutement-sud-logistique-tanger-155003.html')
+            .toISOString(),
+        '2024-02-01T00:00:00.000Z',
+    );
+});
+
+test('findNextPage follows the "next" link', () => {
+    assert.equal(
+        findNextPage(fixture('listing-fr.html'), FR_LISTING_URL),
+        'https://www.rekrute.com/offres.html?s=1&p=2&o=1&keyword=developpeur',
+    );
+});
+
+test('findNextPage follows select-based pagination', () => {
+    assert.equal(
+        findNextPage(fixture('listing-en-select.html'), EN_LISTING_URL),
+        'https://www.rekrute.com/en/offres.html?s=1&p=3&o=1',
+    );
+});
+
+test('findNextPage returns null without pagination', () => {
+    assert.equal(findNextPage(fixture('detail-fr-jsonld.html'), FR_LISTING_URL), null);
+});
+
+test('buildStartUrl sets search filters', () => {
+    const url = new URL(buildStartUrl({
+        keyword: ' data analyst ',
+        location: 'Casablanca',
+        dateFilter: '7 days',
+        lang: 'en',
+    }));
+
+    assert.equal(url.origin + url.pathname, 'https://www.rekrute.com/en/offres.html');
+    assert.equal(url.searchParams.get('keyword'), 'data analyst');
+    assert.equal(url.searchParams.get('jobLocation'), 'Casablanca');
+    assert.equal(url.searchParams.get('publicationDate'), '7');
+    assert.equal(new URL(buildStartUrl({ dateFilter: 'any date' })).searchParams.has('publicationDate'), false);
+});
+
+test('cardToRecord fills the detail record fields from a card', () => {
+    const [card] = parseListingCards(fixture('listing-fr.html'), FR_LISTING_URL);
+    const record = cardToRecord(card, { sourceUrl: FR_LISTING_URL, language: 'fr' });
+
+    assert.equal(record.sourceUrl, FR_LISTING_URL);
+    assert.equal(record.datePostedIso, '2024-03-12');
+    assert.equal(record.validThroughIso, '2024-05-11');
+    assert.equal(record.contractType, 'CDI');
+    assert.equal(record.employmentTypeSource, 'li');
+    assert.equal(record.descriptionText, null);
+    assert.equal(record.salaryMin, null);
+    assert.equal(record.language, 'fr');
+    assert.equal(record._extraction.title, 'listingCard');
+    assert.equal(record._extraction.companyUrl, 'listingCard');
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { getDateCutoff, parsePostedDate, toIsoDate } from '../src/dates.js';
+import { getSalary, parseJsonLdSalary, parseSalaryText } from '../src/salary.js';
+import { normalizeEmploymentType, parseExperienceRange } from '../src/detail.js';
+import { getCardFingerprint, getExpiredReason } from '../src/incremental.js';
+import { cleanText, isDetailUrl } from '../src/utils.js';
+
+const NOW = new Date('2024-03-20T10:00:00Z');
+
+test('parsePostedDate handles numeric, month-name, ISO and relative dates', () => {
+    const iso = (value) => toIsoDate(parsePostedDate(value, NOW));
+
+    assert.equal(iso('12/03/2024'), '2024-03-12');
+    assert.equal(iso('12.03.24'), '2024-03-12');
+    assert.equal(iso('29/02/2024'), '2024-02-29');
+    assert.equal(parsePostedDate('31/02/2024', NOW), null);
+    assert.equal(parsePostedDate('29/02/2023', NOW), null);
+    assert.equal(parsePostedDate('31 avril 2024', NOW), null);
+    assert.equal(iso('2024-03-15T23:30:00-05:00'), '2024-03-15');
+    assert.equal(iso('12 mars 2024'), '2024-03-12');
+    assert.equal(iso('1er février 2024'), '2024-02-01');
+    assert.equal(iso('March 5, 2024'), '2024-03-05');
+    assert.equal(iso('il y a 3 jours'), '2024-03-17');
+    assert.equal(iso('2 weeks ago'), '2024-03-06');
+    assert.equal(iso('hier'), '2024-03-19');
+    assert.equal(iso("aujourd'hui"), '2024-03-20');
+    assert.equal(parsePostedDate('bientôt', NOW), null);
+    assert.equal(parsePostedDate(null, NOW), null);
+});
+
+test('getDateCutoff rounds down to midnight UTC and ignores "any date"', () => {
+    assert.equal(getDateCutoff('24 hours', NOW).toISOString(), '2024-03-19T00:00:00.000Z');
+    assert.equal(getDateCutoff('7 days', NOW).toISOString(), '2024-03-13T00:00:00.000Z');
+    assert.equal(getDateCutoff('any date', NOW), null);
+});
+
+test('parseSalaryText extracts ranges, currency, period and negotiability', () => {
+    assert.deepEqual(parseSalaryText('6 000 - 8 000 DH / mois'), {
+        salaryMin: 6000, salaryMax: 8000, currency: 'MAD', period: 'month', isNegotiable: false,
+    });
+    assert.deepEqual(parseSalaryText('12K MAD brut annuel'), {
+        salaryMin: 12000, salaryMax: 12000, currency: 'MAD', period: 'year', isNegotiable: false,
+    });
+    assert.deepEqual(parseSalaryText('À partir de 10.000 DHS'), {
+        salaryMin: 10000, salaryMax: null, currency: 'MAD', period: null, isNegotiable: false,
+    });
+    assert.deepEqual(parseSalaryText('25 € / heure'), {
+        salaryMin: 25, salaryMax: 25, currency: 'EUR', period: 'hour', isNegotiable: false,
+    });
+    assert.deepEqual(parseSalaryText('8000DH'), {
+        salaryMin: 8000, salaryMax: 8000, currency: 'MAD', period: null, isNegotiable: false,
+    });
+    assert.deepEqual(parseSalaryText('6000 - 8000DHS'), {
+        salaryMin: 6000, salaryMax: 8000, currency: 'MAD', period: null, isNegotiable: false,
+    });
+    assert.deepEqual(parseSalaryText('1 500 €'), {
+        salaryMin: 1500, salaryMax: 1500, currency: 'EUR', period: null, isNegotiable: false,
+    });
+    assert.deepEqual(parseSalaryText('Selon profil'), {
+        salaryMin: null, salaryMax: null, currency: null, period: null, isNegotiable: true,
+    });
+});
+
+test('parseJsonLdSalary reads value or minValue/maxValue', () => {
+    assert.deepEqual(
+        parseJsonLdSalary({ currency: 'DH', value: { value: '7 000', unitText: 'MONTH' } }),
+        { salaryMin: 7000, salaryMax: 7000, currency: 'MAD', period: 'month' },
+    );
+    assert.deepEqual(
+        parseJsonLdSalary({ currency: 'EUR', value: { minValue: 30000, maxValue: 40000, unitText: 'YEAR' } }),
+        { salaryMin: 30000, salaryMax: 40000, currency: 'EUR', period: 'year' },
+    );
+    assert.equal(parseJsonLdSalary({ currency: 'MAD' }), null);
+});
+
+test('getSalary skips the filter panel and sidebar', () => {
+    const $ = load(`<body>
+        <div id="sidebar"><ul><li>Salaire : 3 000 - 5 000 DH</li></ul></div>
+        <ul><li>Salaire : 12 000 DH par mois</li></ul>
+    </body>`);
+    assert.deepEqual(getSalary($, null, null), { value: '12 000 DH par mois', source: 'li' });
+});
+
+test('getSalary finds amounts in the description, with or without a space before the currency', () => {
+    const $ = load('<body></body>');
+    assert.deepEqual(getSalary($, null, 'Package de 1 500 € par mois'), { value: '1 500 €', source: 'description' });
+    assert.deepEqual(getSalary($, null, 'Package : 6000 - 8000DHS'), { value: '6000 - 8000 DHS', source: 'description' });
+});
+
+test('normalizeEmploymentType maps FR/EN/schema.org values', () => {
+    assert.deepEqual(normalizeEmploymentType('Type de contrat proposé : CDD - Temps plein'), {
+        contractType: 'CDD', workingTime: 'FULL_TIME',
+    });
+    assert.deepEqual(normalizeEmploymentType('FULL_TIME'), { contractType: null, workingTime: 'FULL_TIME' });
+    assert.deepEqual(normalizeEmploymentType('FULL_TIME, PART_TIME'), { contractType: null, workingTime: 'FULL_TIME' });
+    // working time alone is no contract type, in French too
+    assert.deepEqual(normalizeEmploymentType('Temps plein'), { contractType: null, workingTime: 'FULL_TIME' });
+    assert.deepEqual(normalizeEmploymentType('Temps partiel'), { contractType: null, workingTime: 'PART_TIME' });
+    assert.deepEqual(normalizeEmploymentType('Plein temps / Mi-temps'), { contractType: null, workingTime: 'FULL_TIME' });
+    assert.deepEqual(normalizeEmploymentType('Full-time'), { contractType: null, workingTime: 'FULL_TIME' });
+    assert.deepEqual(normalizeEmploymentType('INTERNSHIP'), { contractType: 'STAGE', workingTime: null });
+    assert.deepEqual(normalizeEmploymentType('Intérim', 'poste à temps partiel'), {
+        contractType: 'INTERIM', workingTime: 'PART_TIME',
+    });
+    assert.deepEqual(normalizeEmploymentType('Contrat ANAPEC'), { contractType: 'ANAPEC', workingTime: null });
+    assert.deepEqual(normalizeEmploymentType('Autre'), { contractType: 'OTHER', workingTime: null });
+    assert.deepEqual(normalizeEmploymentType(null), { contractType: null, workingTime: null });
+});
+
+test('parseExperienceRange reads FR/EN ranges', () => {
+    assert.deepEqual(parseExperienceRange('De 3 à 5 ans'), { experienceMinYears: 3, experienceMaxYears: 5 });
+    assert.deepEqual(parseExperienceRange('Plus de 10 ans'), { experienceMinYears: 10, experienceMaxYears: null });
+    assert.deepEqual(parseExperienceRange('Débutant < 1 an'), { experienceMinYears: 0, experienceMaxYears: 1 });
+    assert.deepEqual(parseExperienceRange('Less than 2 years'), { experienceMinYears: 0, experienceMaxYears: 2 });
+    assert.deepEqual(parseExperienceRange('Débutant'), { experienceMinYears: 0, experienceMaxYears: 0 });
+    assert.deepEqual(parseExperienceRange('Débutant à 2 ans'), { experienceMinYears: 0, experienceMaxYears: 2 });
+    assert.deepEqual(parseExperienceRange('Junior (3 ans)'), { experienceMinYears: 0, experienceMaxYears: 3 });
+    assert.deepEqual(parseExperienceRange('Sans expérience / 1 an'), { experienceMinYears: 0, experienceMaxYears: 1 });
+    assert.deepEqual(parseExperienceRange('2 ans'), { experienceMinYears: 2, experienceMaxYears: 2 });
+    assert.deepEqual(parseExperienceRange(null), { experienceMinYears: null, experienceMaxYears: null });
+});
+
+test('getExpiredReason detects 404, redirects to the listing and expiry notices', () => {
+    const url = 'https://www.rekrute.com/offre-emploi-comptable-recrutement-atlas-rabat-155002.html';
+    const live = load('<body><h1>Comptable - Atlas</h1></body>');
+
+    assert.equal(getExpiredReason({ statusCode: 404, requestedUrl: url, loadedUrl: url, $: live }), 'status 404');
+    assert.equal(
+        getExpiredReason({ statusCode: 200, requestedUrl: url, loadedUrl: 'https://www.rekrute.com/offres.html', $: live }),
+        'redirected',
+    );
+    assert.equal(
+        getExpiredReason({ statusCode: 200, requestedUrl: url, loadedUrl: url, $: load('<body><p>Cette offre est expirée.</p></body>') }),
+        'expired notice',
+    );
+    assert.equal(getExpiredReason({ statusCode: 200, requestedUrl: url, loadedUrl: url, $: live }), null);
+});
+
+test('getCardFingerprint changes only when card content changes', () => {
+    const card = { title: 'Comptable', company: 'Atlas', location: 'Rabat', datePosted: '12/03/2024', employmentType: 'CDI' };
+
+    assert.equal(getCardFingerprint(card), getCardFingerprint({ ...card, url: 'https://example.com' }));
+    assert.notEqual(getCardFingerprint(card), getCardFingerprint({ ...card, employmentType: 'CDD' }));
+});
+
+test('isDetailUrl recognizes FR and EN offer URLs', () => {
+    assert.equal(isDetailUrl('https://www.rekrute.com/offre-emploi-comptable-recrutement-atlas-rabat-155002.html'), true);
+    assert.equal(isDetailUrl('https://www.rekrute.com/en/job-offer-data-analyst-recruitment-globex-casablanca-160010.html'), true);
+    assert.equal(isDetailUrl('https://www.rekrute.com/offres.html?p=2'), false);
+    assert.equal(isDetailUrl('not a url'), false);
+});
+
+test('cleanText keeps block boundaries as line breaks', () => {
+    assert.equal(cleanText('<p>Un.</p><ul><li>Deux</li><li>Trois</li></ul>'), 'Un.\nDeux\nTrois');
+    assert.equal(cleanText(''), null);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileTerms, scoreRelevance } from '../src/relevance.js';
+
+const terms = (include, exclude = []) => ({ include: compileTerms(include), exclude: compileTerms(exclude) });
+
+test('relevanceScore weights title hits above description hits', () => {
+    const job = {
+        title: 'Software Engineer Java',
+        descriptionText: 'Vous développerez des microservices Java et React.',
+    };
+
+    assert.deepEqual(scoreRelevance(job, terms(['software engineer', 'java', 'react', 'python'])), {
+        relevanceScore: 3 + 3 + 1 + 1,
+        matchedKeywords: { title: ['software engineer', 'java'], description: ['java', 'react'], excluded: [] },
+    });
+});
+
+test('matching folds accents and case and keeps whole words', () => {
+    const job = { title: 'Développeur Full-Stack', descriptionText: 'Stack: JavaScript, Node.js' };
+
+    const { matchedKeywords } = scoreRelevance(job, terms(['DEVELOPPEUR', 'développeur', 'java', 'node.js', 'full stack']));
+
+    assert.deepEqual(matchedKeywords.title, ['DEVELOPPEUR', 'développeur']);
+    // "java" is not "javascript", and "full stack" needs a space
+    assert.deepEqual(matchedKeywords.description, ['node.js']);
+});
+
+test('terms written as /pattern/ are regular expressions', () => {
+    const job = { title: 'Ingénieur DevOps Senior', descriptionText: 'Kubernetes, 5 ans d\'expérience' };
+
+    const { relevanceScore, matchedKeywords } = scoreRelevance(job, terms(['/ing[eé]nieur\\s+dev(ops)?/', '/\\d+\\s+ans/']));
+
+    assert.deepEqual(matchedKeywords.title, ['/ing[eé]nieur\\s+dev(ops)?/']);
+    assert.deepEqual(matchedKeywords.description, ['/\\d+\\s+ans/']);
+    assert.equal(relevanceScore, 4);
+    assert.throws(() => compileTerms(['/(unclosed/']), /Invalid keyword pattern \/\(unclosed\//);
+});
+
+test('an exclude term zeroes the score', () => {
+    const job = { title: 'Software Engineer', descriptionText: 'Poste de commercial terrain.' };
+
+    const result = scoreRelevance(job, terms(['software engineer'], ['Commercial', 'sales']));
+
+    assert.equal(result.relevanceScore, 0);
+    assert.deepEqual(result.matchedKeywords.excluded, ['Commercial']);
+    assert.deepEqual(result.matchedKeywords.title, ['software engineer']);
+});
+
+test('listing records without a description are scored on the title', () => {
+    const result = scoreRelevance({ title: 'Comptable', descriptionText: null }, terms(['comptable']));
+    assert.equal(result.relevanceScore, 3);
+    assert.deepEqual(compileTerms(['', '  ', null]), []);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { cpSync, mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+import { getSnapshotKey, openReplay, startReplayServer } from '../src/replay.js';
+import { validateRecord } from '../src/schema.js';
+import { fixturePath } from './helpers.js';
+
+const LISTING_URL = 'https://www.rekrute.com/offres.html?s=1&p=2&o=1&keyword=developpeur';
+const DETAIL_PATH = 'offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001.html';
+
+test('getSnapshotKey gives valid, distinct key-value store keys', () => {
+    assert.equal(getSnapshotKey(`https://www.rekrute.com/${DETAIL_PATH}`), DETAIL_PATH);
+    assert.equal(getSnapshotKey(LISTING_URL), 'offres.html!3Fs!3D1!26p!3D2!26o!3D1!26keyword!3Ddeveloppeur');
+    assert.equal(getSnapshotKey('https://www.rekrute.com/'), 'index');
+    // host is not part of the key
+    assert.equal(getSnapshotKey('https://rekrute.com/en/offres.html'), getSnapshotKey('https://www.rekrute.com/en/offres.html'));
+    assert.notEqual(getSnapshotKey('https://www.rekrute.com/a/b.html'), getSnapshotKey('https://www.rekrute.com/a!2Fb.html'));
+
+    const long = getSnapshotKey(`https://www.rekrute.com/offres.html?keyword=${'x'.repeat(400)}`);
+    assert.ok(long.length <= 256);
+    assert.match(long, /^[a-zA-Z0-9!\-_.'()]+$/);
+});
+
+test('startReplayServer serves recorded and mirrored snapshots', async (t) => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'rekrute-replay-'));
+    mkdirSync(path.join(dir, 'en'));
+    cpSync(fixturePath('listing-fr.html'), path.join(dir, `${getSnapshotKey(LISTING_URL)}.html`));
+    cpSync(fixturePath('detail-en.html'), path.join(dir, 'en', 'job-offer-data-analyst-160010.html'));
+
+    const server = await startReplayServer(dir);
+    t.after(async () => {
+        await server.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    const listing = await fetch(new URL('offres.html?s=1&p=2&o=1&keyword=developpeur', server.baseUrl));
+    assert.equal(listing.status, 200);
+    assert.match(await listing.text(), /Banque Atlas/);
+
+    const detail = await fetch(new URL('en/job-offer-data-analyst-160010.html', server.baseUrl));
+    assert.equal(detail.status, 200);
+    assert.match(await detail.text(), /Data Analyst/);
+
+    assert.equal((await fetch(new URL('offres.html?s=1&p=3&o=1', server.baseUrl))).status, 404);
+    assert.equal((await fetch(new URL('..%2F..%2Fetc%2Fpasswd', server.baseUrl))).status, 404);
+    assert.equal((await fetch(new URL('%E0%A4%A', server.baseUrl))).status, 404);
+});
+
+test('openReplay maps rekrute.com URLs to the replay source and back', async () => {
+    const replay = await openReplay('http://localhost:8080/snapshots');
+
+    assert.equal(replay.toReplayUrl(LISTING_URL), 'http://localhost:8080/snapshots/offres.html?s=1&p=2&o=1&keyword=developpeur');
+
+    const gotOptions = {};
+    await replay.preNavigationHook({ request: { url: `https://www.rekrute.com/${DETAIL_PATH}` } }, gotOptions);
+    assert.equal(gotOptions.url, `http://localhost:8080/snapshots/${DETAIL_PATH}`);
+
+    const request = { url: LISTING_URL, loadedUrl: replay.toReplayUrl(LISTING_URL) };
+    replay.restoreLoadedUrl(request);
+    assert.equal(request.loadedUrl, LISTING_URL);
+
+    await replay.close();
+});
+
+const readJsonDir = (dir) => readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => JSON.parse(readFileSync(path.join(dir, name), 'utf8')));
+
+test('replay run: listings paginate, job links become DETAIL requests and jobs are saved', async (t) => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'rekrute-crawl-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+    // page 1 links to page 2 with a.next, page 2 to page 3 (no snapshot) with its <select>
+    const page1 = 'https://www.rekrute.com/offres.html?s=1&p=1&o=1&keyword=developpeur';
+    const page2 = 'https://www.rekrute.com/offres.html?s=1&p=2&o=1&keyword=developpeur';
+    const detail = (slug) => `https://www.rekrute.com/${slug}.html`;
+    const snapshots = {
+        [page1]: 'listing-fr.html',
+        [page2]: 'listing-en-select.html',
+        [detail('offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001')]: 'detail-fr.html',
+        [detail('offre-emploi-charge-de-clientele-recrutement-banque-atlas-rabat-155002')]: 'detail-fr-jsonld.html',
+        [detail('en/job-offer-data-analyst-recruitment-globex-casablanca-160010')]: 'detail-en.html',
+    };
+    const snapshotDir = path.join(dir, 'snapshots');
+    mkdirSync(snapshotDir);
+    for (const [url, name] of Object.entries(snapshots)) {
+        cpSync(fixturePath(name), path.join(snapshotDir, `${getSnapshotKey(url)}.html`));
+    }
+
+    const storage = path.join(dir, 'storage');
+    mkdirSync(path.join(storage, 'key_value_stores', 'default'), { recursive: true });
+    writeFileSync(
+        path.join(storage, 'key_value_stores', 'default', 'INPUT.json'),
+        JSON.stringify({ startUrls: [{ url: page1 }], replayFrom: snapshotDir, maxConcurrency: 1 }),
+    );
+
+    await promisify(execFile)(process.execPath, [fileURLToPath(new URL('../src/main.js', import.meta.url))], {
+        cwd: dir,
+        env: { ...process.env, CRAWLEE_STORAGE_DIR: storage, APIFY_LOCAL_STORAGE_DIR: storage, APIFY_TOKEN: '' },
+        timeout: 90_000,
+    });
+
+    const requests = readJsonDir(path.join(storage, 'request_queues', 'default')).map((r) => JSON.parse(r.json));
+    const labels = Object.fromEntries(requests.map((r) => [r.url, r.userData.label]));
+    assert.deepEqual(labels, {
+        [page1]: 'LIST',
+        [page2]: 'LIST',
+        'https://www.rekrute.com/en/offres.html?s=1&p=3&o=1': 'LIST',
+        [detail('offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001')]: 'DETAIL',
+        [detail('offre-emploi-charge-de-clientele-recrutement-banque-atlas-rabat-155002')]: 'DETAIL',
+        [detail('offre-emploi-stagiaire-logistique-recrutement-sud-logistique-tanger-155003')]: 'DETAIL',
+        [detail('en/job-offer-data-analyst-recruitment-globex-casablanca-160010')]: 'DETAIL',
+        [detail('en/job-offer-sales-engineer-recruitment-initech-rabat-160011')]: 'DETAIL',
+    });
+
+    // jobs without a snapshot are skipped
+    const jobs = readJsonDir(path.join(storage, 'datasets', 'default')).sort((a, b) => a.jobId.localeCompare(b.jobId));
+    assert.deepEqual(
+        jobs.map(({ jobId, title, company, sourceUrl }) => ({ jobId, title, company, sourceUrl })),
+        [
+            { jobId: '155001', title: 'Développeur Full Stack', company: 'Acme Maroc', sourceUrl: page1 },
+            { jobId: '155002', title: 'Comptable Senior', company: 'Banque Atlas', sourceUrl: page1 },
+            { jobId: '160010', title: 'Data Analyst', company: 'Globex', sourceUrl: page2 },
+        ],
+    );
+    for (const job of jobs) {
+        assert.deepEqual(validateRecord(job), [], job.url);
+        assert.deepEqual(job.searches, [page1]);
+    }
+
+    const summary = JSON.parse(readFileSync(path.join(storage, 'key_value_stores', 'default', 'RUN_SUMMARY.json'), 'utf8'));
+    assert.equal(summary.status, 'SUCCEEDED');
+    assert.deepEqual(summary.pages, { listing: 2, detail: 3, other: 0 });
+});
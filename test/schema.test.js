@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { extractJobDetail } from '../src/detail.js';
+import { cardToRecord, parseListingCards } from '../src/listing.js';
+import { createSkillsExtractor } from '../src/skills.js';
+import { mergeLanguageVersions } from '../src/bilingual.js';
+import {
+    EXPIRED_FIELDS,
+    JOB_FIELDS,
+    SCHEMA_VERSION,
+    buildDatasetSchema,
+    validateRecord,
+} from '../src/schema.js';
+import { fixture } from './helpers.js';
+
+const FR_URL = 'https://www.rekrute.com/offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001.html';
+const EN_URL = 'https://www.rekrute.com/en/job-offer-data-analyst-recruitment-globex-casablanca-160010.html';
+const FR_LISTING_URL = 'https://www.rekrute.com/offres.html?s=1&p=1&o=1&keyword=developpeur';
+
+// The record main.js saves for a detail page
+const detailRecord = (job) => ({
+    schemaVersion: SCHEMA_VERSION,
+    ...job,
+    ...createSkillsExtractor()(job.descriptionText),
+    relevanceScore: null,
+    matchedKeywords: null,
+    searches: ['developpeur'],
+});
+
+test('detail, listing-only and bilingual records match the schema', () => {
+    const fr = extractJobDetail(fixture('detail-fr.html'), FR_URL, { sourceUrl: FR_LISTING_URL });
+    const en = extractJobDetail(fixture('detail-en.html'), EN_URL);
+    assert.deepEqual(validateRecord(detailRecord(fr)), []);
+    assert.deepEqual(validateRecord(detailRecord(extractJobDetail(fixture('detail-fr-jsonld.html'), FR_URL))), []);
+    assert.deepEqual(validateRecord(detailRecord(mergeLanguageVersions({ fr, en }, ['fr', 'en']))), []);
+
+    for (const card of parseListingCards(fixture('listing-fr.html'), FR_LISTING_URL)) {
+        const record = {
+            schemaVersion: SCHEMA_VERSION,
+            ...cardToRecord(card, { sourceUrl: FR_LISTING_URL, language: 'fr' }),
+            skills: null,
+            languagesRequired: null,
+            relevanceScore: null,
+            matchedKeywords: null,
+            searches: ['developpeur'],
+            changeStatus: 'new',
+        };
+        assert.deepEqual(validateRecord(record), []);
+    }
+});
+
+test('validateRecord reports shape changes', () => {
+    const record = detailRecord(extractJobDetail(fixture('detail-fr.html'), FR_URL));
+    delete record.searches;
+
+    const errors = validateRecord({
+        ...record,
+        title: null,
+        positionsCount: '2',
+        contractType: 'PERMANENT',
+        datePostedIso: '12/03/2024',
+        skills: ['Java', 3],
+        date_posted: '12/03/2024',
+    });
+
+    assert.deepEqual(errors, [
+        'title: is null',
+        'datePostedIso: "12/03/2024" is not a valid date',
+        'contractType: "PERMANENT" is not one of CDI, CDD, INTERIM, STAGE, FREELANCE, ANAPEC, OTHER',
+        'positionsCount: expected integer, got string',
+        'skills: expected string items',
+        'searches: missing',
+        'date_posted: unexpected field',
+    ]);
+});
+
+test('expired records have their own fields', () => {
+    const tombstone = {
+        schemaVersion: SCHEMA_VERSION,
+        jobId: '155001',
+        url: FR_URL,
+        status: 'expired',
+        expiredReason: 'notFound',
+        expiredDetectedAt: '2026-01-05T10:00:00.000Z',
+    };
+    assert.deepEqual(validateRecord(tombstone, EXPIRED_FIELDS), []);
+    assert.ok(validateRecord(tombstone).includes('status: unexpected field'));
+});
+
+test('.actor/dataset_schema.json is generated from the record schema', () => {
+    const onDisk = JSON.parse(readFileSync(new URL('../.actor/dataset_schema.json', import.meta.url), 'utf8'));
+    const schema = buildDatasetSchema();
+
+    // run `npm run build:schema` after changing src/schema.js
+    assert.deepEqual(onDisk, schema);
+    assert.deepEqual(schema.fields.properties.positionsCount, { type: ['integer', 'null'], title: 'Positions' });
+    assert.deepEqual(schema.fields.else.required, Object.keys(JOB_FIELDS).filter((field) => !JOB_FIELDS[field].optional));
+    for (const view of Object.values(schema.views)) {
+        for (const field of view.transformation.fields) assert.ok(JOB_FIELDS[field], `${field} is a record field`);
+    }
+});
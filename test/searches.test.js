@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSearches, buildStartUrlSearches } from '../src/searches.js';
+
+test('buildSearches reads the searches array with per-search budgets', () => {
+    const searches = buildSearches({
+        searches: [
+            { name: 'devs casa', keyword: 'développeur', location: 'Casablanca', results_wanted: 20 },
+            { keyword: 'comptable', max_pages: 3 },
+        ],
+    }, { maxItems: 100, maxPages: 10, dateFilter: '7 days' });
+
+    assert.deepEqual(searches.map(({ id, maxItems, maxPages }) => ({ id, maxItems, maxPages })), [
+        { id: 'devs casa', maxItems: 20, maxPages: 10 },
+        { id: 'comptable', maxItems: 100, maxPages: 3 },
+    ]);
+
+    const url = new URL(searches[0].startUrl);
+    assert.equal(url.searchParams.get('keyword'), 'développeur');
+    assert.equal(url.searchParams.get('jobLocation'), 'Casablanca');
+    assert.equal(url.searchParams.get('publicationDate'), '7');
+});
+
+test('buildSearches expands keyword and location lists as a cartesian product', () => {
+    const searches = buildSearches({
+        keywords: ['data analyst', 'comptable'],
+        locations: ['Casablanca', 'Rabat'],
+        category: '12',
+    });
+
+    assert.deepEqual(searches.map((s) => s.id), [
+        'data analyst / Casablanca / 12',
+        'data analyst / Rabat / 12',
+        'comptable / Casablanca / 12',
+        'comptable / Rabat / 12',
+    ]);
+    assert.equal(new Set(searches.map((s) => s.startUrl)).size, 4);
+});
+
+test('buildSearches falls back to the single keyword/location inputs', () => {
+    assert.deepEqual(buildSearches({ keyword: 'java' }, { maxItems: 5 }).map((s) => [s.id, s.maxItems]), [['java', 5]]);
+    assert.equal(buildSearches({})[0].id, 'all jobs');
+    // keyword list with a single location
+    assert.deepEqual(buildSearches({ keywords: ['java', ' '], location: 'Tanger' }).map((s) => s.id), ['java / Tanger']);
+});
+
+test('buildSearches coerces non-string keyword/location/category values', () => {
+    const searches = buildSearches({
+        searches: [{ keyword: 1234, location: null, category: 12 }],
+    });
+
+    assert.equal(searches[0].id, '1234 / 12');
+    const url = new URL(searches[0].startUrl);
+    assert.equal(url.searchParams.get('keyword'), '1234');
+    assert.equal(url.searchParams.get('jobLocation'), null);
+    assert.deepEqual(buildSearches({ keyword: 42 }).map((s) => s.id), ['42']);
+});
+
+test('buildSearches keeps ids unique', () => {
+    const ids = buildSearches({ searches: [{ keyword: 'java' }, { keyword: 'java' }, { name: 'java' }] }).map((s) => s.id);
+    assert.deepEqual(ids, ['java', 'java #2', 'java #3']);
+});
+
+test('buildStartUrlSearches gives every start URL its own budget', () => {
+    const searches = buildStartUrlSearches([
+        'https://www.rekrute.com/offres.html?keyword=java',
+        { url: 'https://www.rekrute.com/en/offres.html?keyword=sales', max_pages: 2, results_wanted: 0 },
+        { url: 'https://www.rekrute.com/offres.html?keyword=java' },
+        { notAUrl: true },
+    ], { maxItems: 50, maxPages: 5 });
+
+    assert.deepEqual(searches, [
+        {
+            id: 'https://www.rekrute.com/offres.html?keyword=java',
+            startUrl: 'https://www.rekrute.com/offres.html?keyword=java',
+            maxItems: 50,
+            maxPages: 5,
+        },
+        {
+            id: 'https://www.rekrute.com/en/offres.html?keyword=sales',
+            startUrl: 'https://www.rekrute.com/en/offres.html?keyword=sales',
+            maxItems: 0,
+            maxPages: 2,
+        },
+    ]);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractJobDetail } from '../src/detail.js';
+import {
+    DEFAULT_SKILLS,
+    buildSkillsDictionary,
+    createSkillsExtractor,
+    extractLanguages,
+} from '../src/skills.js';
+import { fixture } from './helpers.js';
+
+const FR_URL = 'https://www.rekrute.com/offre-emploi-developpeur-full-stack-recrutement-acme-maroc-casablanca-155001.html';
+
+test('skills and languages from a FR detail page', () => {
+    const { descriptionText } = extractJobDetail(fixture('detail-fr.html'), FR_URL);
+
+    assert.deepEqual(createSkillsExtractor()(descriptionText), {
+        skills: ['Java', 'JavaScript'],
+        languagesRequired: [{ language: 'English', level: 'fluent' }],
+    });
+});
+
+test('synonyms map to canonical skills, in order of first mention', () => {
+    const extract = createSkillsExtractor();
+    const { skills } = extract('Stack : JS/TS, Node.js, k8s et pack Office. Connaissance de SAP FI et AutoCAD. C# et C++ appréciés.');
+
+    assert.deepEqual(skills, ['JavaScript', 'Node.js', 'Kubernetes', 'MS Office', 'SAP', 'AutoCAD', 'C#', 'C++']);
+    // "Java" is not in "JavaScript", "Excel" not in "excellent", "Tableau" not in "tableau de bord"
+    assert.deepEqual(extract('JavaScript, excellent relationnel, tableau de bord, Sage-femme').skills, ['JavaScript']);
+    assert.deepEqual(extract(null), { skills: null, languagesRequired: null });
+});
+
+test('required languages with their level', () => {
+    assert.deepEqual(
+        extractLanguages('Français et anglais courants. Bilingue arabe. Notions d\'espagnol appréciées.\nAllemand'),
+        [
+            { language: 'French', level: 'fluent' },
+            { language: 'English', level: 'fluent' },
+            { language: 'Arabic', level: 'bilingual' },
+            { language: 'Spanish', level: 'basic' },
+            { language: 'German', level: null },
+        ],
+    );
+    assert.deepEqual(extractLanguages('Strong SQL skills. English fluency required; good command of French.'), [
+        { language: 'English', level: 'fluent' },
+        { language: 'French', level: 'professional' },
+    ]);
+});
+
+test('a custom dictionary adds, extends and removes skills', () => {
+    const dictionary = buildSkillsDictionary({ Odoo: ['odoo', 'OpenERP'], SAP: 'sap hana', Agile: [] });
+
+    assert.deepEqual(dictionary.Odoo, ['odoo', 'OpenERP']);
+    assert.ok(dictionary.SAP.includes('sap hana'));
+    assert.equal(dictionary.Agile, undefined);
+    // the defaults are left untouched
+    assert.ok(DEFAULT_SKILLS.Agile);
+
+    const { skills } = createSkillsExtractor(dictionary)('ERP OpenERP, méthodes agiles, SAP HANA');
+    assert.deepEqual(skills, ['Odoo', 'SAP']);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRunStats } from '../src/summary.js';
+
+test('run summary counts pages, jobs, status codes and failures', () => {
+    let clock = Date.parse('2026-01-05T10:00:00Z');
+    const runStats = createRunStats({ now: () => clock });
+
+    runStats.page('listing');
+    runStats.page('detail');
+    runStats.page('detail');
+    for (const code of [200, 200, 200, 403, 404]) runStats.status(code);
+    runStats.retry();
+    runStats.jobPushed({ company: 'Acme Maroc', location: 'Casablanca' });
+    runStats.jobPushed({ company: 'Banque Atlas', location: 'Rabat' });
+    runStats.jobPushed({ company: 'Acme Maroc', location: null });
+    runStats.jobSkipped('limit');
+    runStats.jobSkipped('date', 4);
+    runStats.jobChange('155001', 'new');
+    runStats.jobChange('155002', 'unchanged');
+    runStats.jobChange('155003', 'unchanged');
+    // re-listed by another search, then found changed on its detail page
+    runStats.jobChange('155003', 'updated');
+    runStats.requestFailed({ url: 'https://www.rekrute.com/offre-emploi-x-155009.html', label: 'DETAIL', error: 'timeout' });
+    runStats.requestFailed({ url: 'https://www.rekrute.com/offres.html?p=3', label: 'LIST', error: 'timeout' });
+
+    clock += 90_500;
+    const summary = runStats.buildSummary({ status: 'SUCCEEDED', blocks: 1 });
+
+    assert.equal(summary.startedAt, '2026-01-05T10:00:00.000Z');
+    assert.equal(summary.durationSecs, 90.5);
+    assert.equal(summary.status, 'SUCCEEDED');
+    assert.deepEqual(summary.pages, { listing: 1, detail: 2, other: 0 });
+    assert.deepEqual(summary.jobs, {
+        pushed: 3,
+        skipped: { limit: 1, duplicate: 0, date: 4, relevance: 0, unchanged: 0 },
+        failed: 1,
+        invalid: 0,
+    });
+    assert.deepEqual(summary.changes, { new: 1, updated: 1, unchanged: 1 });
+    assert.equal(summary.retries, 1);
+    assert.deepEqual(summary.statusCodes, { 200: 3, 403: 1, 404: 1 });
+    assert.deepEqual(summary.jobsPerCompany, { 'Acme Maroc': 2, 'Banque Atlas': 1 });
+    assert.deepEqual(Object.keys(summary.jobsPerCity), ['(unknown)', 'Casablanca', 'Rabat']);
+    assert.deepEqual(summary.failedRequests.map((r) => r.label), ['DETAIL', 'LIST']);
+});
+
+test('average parse time per page type', () => {
+    const runStats = createRunStats();
+
+    assert.equal(runStats.timeParse('detail', () => 'parsed'), 'parsed');
+    runStats.page('detail');
+    assert.throws(() => runStats.timeParse('listing', () => {
+        throw new Error('bad markup');
+    }), /bad markup/);
+
+    const { avgParseMs } = runStats.buildSummary();
+    assert.equal(typeof avgParseMs.detail, 'number');
+    // no listing page fetched
+    assert.equal(avgParseMs.listing, null);
+});
+
+test('status message for the live run', () => {
+    const runStats = createRunStats();
+    runStats.page('listing');
+    runStats.jobPushed({ company: 'Acme', location: 'Rabat' });
+
+    assert.equal(
+        runStats.getStatusMessage({ blocks: 2, concurrency: 5 }),
+        'Running: 1 jobs saved, 1 listing and 0 detail pages, 0 failed, 2 blocks, concurrency 5.',
+    );
+});
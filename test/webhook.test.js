@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { FAILED_BATCH_PREFIX, createWebhookSender, signPayload } from '../src/webhook.js';
+
+// Local stand-in for the ingestion endpoint: answers with the next status of `statuses`
+// (200 once they run out) and records every request
+async function startEndpoint(statuses = []) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() ?? 200);
+            res.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/ingest`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+// Key-value store stand-in with the methods the sender uses
+function memoryStore() {
+    const values = new Map();
+    return {
+        values,
+        async setValue(key, value) {
+            if (value === null) values.delete(key);
+            else values.set(key, value);
+        },
+        async getValue(key) {
+            return values.get(key) ?? null;
+        },
+        async forEachKey(fn) {
+            let index = 0;
+            for (const key of [...values.keys()]) await fn(key, index++);
+        },
+    };
+}
+
+test('webhook sends signed batches of batchSize jobs', async () => {
+    const endpoint = await startEndpoint();
+    const sender = createWebhookSender({
+        url: endpoint.url,
+        headers: { Authorization: 'Bearer t0ken' },
+        batchSize: 2,
+        secret: 's3cret',
+    });
+
+    for (const jobId of ['1', '2', '3']) sender.add({ jobId });
+    const stats = await sender.close();
+    await endpoint.close();
+
+    assert.deepEqual(stats, { sent: 2, jobsSent: 3, failed: 0, redelivered: 0 });
+    assert.equal(endpoint.requests.length, 2);
+    const [first, second] = endpoint.requests.map(({ headers, body }) => ({ headers, payload: JSON.parse(body) }));
+    assert.deepEqual(first.payload.jobs, [{ jobId: '1' }, { jobId: '2' }]);
+    assert.equal(first.payload.count, 2);
+    assert.deepEqual(second.payload.jobs, [{ jobId: '3' }]);
+
+    const { headers, body } = endpoint.requests[0];
+    assert.equal(headers.authorization, 'Bearer t0ken');
+    assert.equal(headers['x-rekrute-batch-id'], first.payload.batchId);
+    assert.equal(headers['x-rekrute-signature'], signPayload(body, 's3cret'));
+    assert.match(headers['x-rekrute-signature'], /^sha256=[0-9a-f]{64}$/);
+});
+
+test('webhook retries 5xx responses with backoff', async () => {
+    const endpoint = await startEndpoint([503, 500]);
+    const sender = createWebhookSender({ url: endpoint.url, batchSize: 10, retryDelayMs: 5 });
+
+    sender.add({ jobId: '1' });
+    const stats = await sender.close();
+    await endpoint.close();
+
+    assert.equal(stats.sent, 1);
+    assert.equal(endpoint.requests.length, 3);
+    // same batch on every attempt
+    assert.equal(new Set(endpoint.requests.map((r) => r.headers['x-rekrute-batch-id'])).size, 1);
+});
+
+test('webhook keeps failed batches in the store and redelivers them', async () => {
+    const store = memoryStore();
+    const down = await startEndpoint([500, 500, 500]);
+    const sender = createWebhookSender({ url: down.url, maxRetries: 2, retryDelayMs: 1, store });
+
+    sender.add({ jobId: '1' });
+    const stats = await sender.close();
+    await down.close();
+
+    assert.equal(stats.failed, 1);
+    assert.equal(down.requests.length, 3);
+    const [key] = store.values.keys();
+    assert.ok(key.startsWith(FAILED_BATCH_PREFIX));
+    const saved = store.values.get(key);
+    assert.deepEqual(saved.jobs, [{ jobId: '1' }]);
+
+    // next run: endpoint is back
+    const up = await startEndpoint();
+    const nextRun = createWebhookSender({ url: up.url, store });
+    assert.equal(await nextRun.redeliver(), 1);
+    await up.close();
+
+    assert.equal(nextRun.stats.redelivered, 1);
+    assert.equal(store.values.size, 0);
+    assert.equal(up.requests[0].headers['x-rekrute-batch-id'], saved.batchId);
+});
+
+test('webhook does not retry client errors', async () => {
+    const endpoint = await startEndpoint([400]);
+    const sender = createWebhookSender({ url: endpoint.url, retryDelayMs: 1 });
+
+    sender.add({ jobId: '1' });
+    const stats = await sender.close();
+    await endpoint.close();
+
+    assert.equal(stats.failed, 1);
+    assert.equal(endpoint.requests.length, 1);
+});